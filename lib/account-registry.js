@@ -0,0 +1,177 @@
+// lib/account-registry.js
+// Telegram accounts served by this deployment. Every account gets its own MTProtoService
+// with separate session and entity cache stores, created the first time it is used.
+//
+// The account from TELEGRAM_PHONE is always available as "default" and keeps the original
+// "session" / "entities" stores, so existing single-account deployments stay logged in.
+// Further accounts are added at runtime and persisted in the "accounts" store.
+
+const EventEmitter = require('events');
+const MTProtoService = require('./mtproto-service');
+const { createStore } = require('./storage');
+const logger = require('./logger');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PHONE_PATTERN = /^\+\d{7,15}$/;
+
+function accountError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function storeNames(id) {
+  if (id === DEFAULT_ACCOUNT_ID) {
+    return { session: 'session', entities: 'entities' };
+  }
+  return { session: `session-${id}`, entities: `entities-${id}` };
+}
+
+// Emits 'service' (service) whenever an account's MTProtoService is created
+class AccountRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.store = options.store || createStore('accounts');
+    this.defaultPhone = options.defaultPhone !== undefined ? options.defaultPhone : process.env.TELEGRAM_PHONE;
+    this.services = new Map();
+  }
+
+  get(id) {
+    if (id === DEFAULT_ACCOUNT_ID) {
+      return this.defaultPhone
+        ? { id: DEFAULT_ACCOUNT_ID, phone: this.defaultPhone, label: null, created_at: null, builtin: true }
+        : null;
+    }
+
+    return this.store.get(id) || null;
+  }
+
+  list() {
+    const accounts = this.store.values().sort((a, b) => a.created_at.localeCompare(b.created_at));
+    const builtin = this.get(DEFAULT_ACCOUNT_ID);
+
+    return builtin ? [builtin, ...accounts] : accounts;
+  }
+
+  add({ id, phone, label }) {
+    if (!ACCOUNT_ID_PATTERN.test(String(id || ''))) {
+      throw accountError('id must be 1-32 lowercase letters, digits, "-" or "_"');
+    }
+    if (!PHONE_PATTERN.test(String(phone || ''))) {
+      throw accountError('phone must be in international format (+15551234567)');
+    }
+    if (id === DEFAULT_ACCOUNT_ID || this.get(id)) {
+      throw accountError(`Account "${id}" already exists`, 409);
+    }
+
+    const account = {
+      id: id,
+      phone: phone,
+      label: label ? String(label) : null,
+      created_at: new Date().toISOString(),
+      builtin: false
+    };
+
+    this.store.set(id, account);
+    logger.info(`👤 Added account ${id}`);
+    return account;
+  }
+
+  update(id, { label }) {
+    const account = this.get(id);
+    if (!account) {
+      throw accountError(`Unknown account "${id}"`, 404);
+    }
+    if (account.builtin) {
+      throw accountError('The default account is configured through environment variables');
+    }
+
+    const updated = { ...account, label: label ? String(label) : null };
+    this.store.set(id, updated);
+    return updated;
+  }
+
+  // Drops the account and wipes its session. With `logOut` the Telegram session is terminated first.
+  async remove(id, options = {}) {
+    const account = this.get(id);
+    if (!account) {
+      throw accountError(`Unknown account "${id}"`, 404);
+    }
+    if (account.builtin) {
+      throw accountError('The default account is configured through TELEGRAM_PHONE and cannot be removed');
+    }
+
+    const service = this.services.get(id);
+    if (service) {
+      if (options.logOut && service.isAuthenticated) {
+        await service.logOut();
+      }
+
+      this.services.delete(id);
+      service.disconnect();
+      await service.cleanup();
+    }
+
+    const names = storeNames(id);
+    for (const name of [names.session, names.entities]) {
+      const store = createStore(name);
+      store.clear();
+      store.flush();
+    }
+
+    this.store.delete(id);
+    logger.info(`👤 Removed account ${id}`);
+    return account;
+  }
+
+  // The account's service, created and initialized on first use. As with the original single
+  // service, a failed initialization (e.g. not signed in yet) still leaves the instance registered
+  // so the auth endpoints can use it.
+  async getService(id = DEFAULT_ACCOUNT_ID) {
+    const existing = this.services.get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const account = this.get(id);
+    if (!account) {
+      throw accountError(`Unknown account "${id}"`, 404);
+    }
+
+    const names = storeNames(id);
+    const service = new MTProtoService({
+      accountId: id,
+      phone: account.phone,
+      sessionStoreName: names.session,
+      entityStoreName: names.entities
+    });
+
+    this.services.set(id, service);
+    this.emit('service', service);
+
+    await service.initialize();
+    return service;
+  }
+
+  getStatus() {
+    return this.list().map(account => {
+      const service = this.services.get(account.id);
+      return {
+        ...account,
+        loaded: !!service,
+        authenticated: service ? service.isAuthenticated : false
+      };
+    });
+  }
+
+  async cleanup() {
+    for (const service of this.services.values()) {
+      await service.cleanup();
+    }
+  }
+}
+
+module.exports = AccountRegistry;
+module.exports.DEFAULT_ACCOUNT_ID = DEFAULT_ACCOUNT_ID;
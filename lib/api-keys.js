@@ -0,0 +1,254 @@
+// lib/api-keys.js
+// Scoped API keys with optional account restrictions, request quotas and expiry.
+// Only a SHA-256 hash of each key is stored; the plaintext is shown once, when the key
+// is created or rotated. API_SECRET_KEY keeps working as a master key with every scope.
+//
+// Key format: tgk_<id>.<secret>
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const logger = require('./logger');
+
+const KEY_PREFIX = 'tgk_';
+const KEY_PATTERN = /^tgk_([a-f0-9]{12})\.([A-Za-z0-9_-]{43})$/;
+
+// chat_admin covers creating chats and managing members, admins, invite links and chat info.
+// admin also grants every other scope.
+const SCOPES = ['send', 'read', 'auth', 'chat_admin', 'admin'];
+
+const DEFAULT_QUOTA_WINDOW_SECONDS = 86400;
+const MASTER_KEY_ID = 'master';
+
+function keyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+// Hashing first gives both sides the same length, which timingSafeEqual requires
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(hashKey(a), hashKey(b));
+}
+
+function generateKey(id) {
+  return `${KEY_PREFIX}${id}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function serializeKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.store = options.store || createStore('api-keys');
+    this.masterKey = options.masterKey !== undefined ? options.masterKey : process.env.API_SECRET_KEY;
+  }
+
+  // Validates { name, scopes, accounts?, quota?: { limit, window_seconds? }, expires_at? }
+  parseSettings(input = {}) {
+    const settings = {};
+
+    if (input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 100) {
+        throw keyError('name must be a non-empty string of at most 100 characters');
+      }
+      settings.name = input.name.trim();
+    }
+
+    if (input.scopes !== undefined) {
+      if (!Array.isArray(input.scopes) || input.scopes.length === 0 || !input.scopes.every(scope => SCOPES.includes(scope))) {
+        throw keyError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+      }
+      settings.scopes = Array.from(new Set(input.scopes));
+    }
+
+    if (input.accounts !== undefined) {
+      if (input.accounts !== null && (!Array.isArray(input.accounts) || input.accounts.length === 0 ||
+          !input.accounts.every(account => typeof account === 'string' && account))) {
+        throw keyError('accounts must be null (all accounts) or a non-empty list of account ids');
+      }
+      settings.accounts = input.accounts;
+    }
+
+    if (input.quota !== undefined) {
+      const quota = input.quota;
+      if (quota !== null && (!quota || !Number.isInteger(quota.limit) || quota.limit < 1 ||
+          (quota.window_seconds !== undefined && (!Number.isInteger(quota.window_seconds) || quota.window_seconds < 1)))) {
+        throw keyError('quota must be null or { limit, window_seconds } with positive integers');
+      }
+      settings.quota = quota && { limit: quota.limit, window_seconds: quota.window_seconds || DEFAULT_QUOTA_WINDOW_SECONDS };
+    }
+
+    if (input.expires_at !== undefined) {
+      const expiresAt = input.expires_at === null ? null : Date.parse(input.expires_at);
+      if (expiresAt !== null && (Number.isNaN(expiresAt) || expiresAt <= Date.now())) {
+        throw keyError('expires_at must be null or an ISO date in the future');
+      }
+      settings.expires_at = expiresAt === null ? null : new Date(expiresAt).toISOString();
+    }
+
+    return settings;
+  }
+
+  // Returns { key, record }. The plaintext key cannot be recovered later.
+  create(input) {
+    const settings = this.parseSettings(input);
+    if (!settings.name || !settings.scopes) {
+      throw keyError('name and scopes are required');
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = generateKey(id);
+    const record = {
+      id: id,
+      name: settings.name,
+      scopes: settings.scopes,
+      accounts: settings.accounts || null,
+      quota: settings.quota || null,
+      expires_at: settings.expires_at || null,
+      created_at: new Date().toISOString(),
+      rotated_at: null,
+      revoked_at: null,
+      last_used_at: null,
+      usage: { window_started_at: Date.now(), count: 0 },
+      hash: hashKey(key).toString('hex')
+    };
+
+    this.store.set(id, record);
+    logger.info(`🔑 Created API key ${id} (${record.name}): ${record.scopes.join(', ')}`);
+    return { key, record: serializeKey(record) };
+  }
+
+  get(id) {
+    const record = this.store.get(id);
+    return record ? serializeKey(record) : null;
+  }
+
+  list() {
+    return this.store.values()
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(serializeKey);
+  }
+
+  getActive(id) {
+    const record = this.store.get(id);
+    if (!record) {
+      throw keyError('API key not found', 404);
+    }
+    if (record.revoked_at) {
+      throw keyError('API key has been revoked', 409);
+    }
+    return record;
+  }
+
+  update(id, input) {
+    const record = this.getActive(id);
+    const updated = { ...record, ...this.parseSettings(input) };
+
+    this.store.set(id, updated);
+    return serializeKey(updated);
+  }
+
+  // New secret for the same id and settings; the old key stops working immediately
+  rotate(id) {
+    const record = this.getActive(id);
+    const key = generateKey(id);
+    const updated = { ...record, hash: hashKey(key).toString('hex'), rotated_at: new Date().toISOString() };
+
+    this.store.set(id, updated);
+    logger.info(`🔑 Rotated API key ${id}`);
+    return { key, record: serializeKey(updated) };
+  }
+
+  revoke(id) {
+    const record = this.getActive(id);
+    const updated = { ...record, revoked_at: new Date().toISOString() };
+
+    this.store.set(id, updated);
+    logger.info(`🔑 Revoked API key ${id}`);
+    return serializeKey(updated);
+  }
+
+  // Resolve a presented key to { id, name, scopes, accounts, quota } or throw a 401
+  authenticate(presented) {
+    if (this.masterKey && safeEqual(presented, this.masterKey)) {
+      return { id: MASTER_KEY_ID, name: 'API_SECRET_KEY', scopes: ['admin'], accounts: null, quota: null };
+    }
+
+    const match = String(presented).match(KEY_PATTERN);
+    const record = match ? this.store.get(match[1]) : null;
+
+    // Compare against a dummy hash when the id is unknown so timing does not reveal valid ids
+    const expected = record ? Buffer.from(record.hash, 'hex') : hashKey(crypto.randomBytes(32));
+    if (!crypto.timingSafeEqual(hashKey(presented), expected) || !record) {
+      throw keyError('Invalid API key', 401);
+    }
+
+    if (record.revoked_at) {
+      throw keyError('API key has been revoked', 401);
+    }
+    if (record.expires_at && Date.parse(record.expires_at) <= Date.now()) {
+      throw keyError('API key has expired', 401);
+    }
+
+    return record;
+  }
+
+  // Count a request against the key's quota. Returns { limit, remaining, reset_at } (null without a quota)
+  // or throws a 429 carrying the same information.
+  consume(id) {
+    const record = this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const now = Date.now();
+    const updated = { ...record, last_used_at: new Date(now).toISOString() };
+    let quota = null;
+
+    if (record.quota) {
+      const windowMs = record.quota.window_seconds * 1000;
+      const usage = now - record.usage.window_started_at >= windowMs
+        ? { window_started_at: now, count: 0 }
+        : { ...record.usage };
+
+      quota = {
+        limit: record.quota.limit,
+        remaining: Math.max(record.quota.limit - usage.count - 1, 0),
+        reset_at: new Date(usage.window_started_at + windowMs).toISOString()
+      };
+
+      if (usage.count >= record.quota.limit) {
+        const error = keyError('API key quota exceeded', 429);
+        error.quota = { ...quota, remaining: 0 };
+        throw error;
+      }
+
+      usage.count += 1;
+      updated.usage = usage;
+    }
+
+    this.store.set(id, updated);
+    return quota;
+  }
+}
+
+// admin implies every scope
+function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+function canUseAccount(key, accountId) {
+  return !key.accounts || key.accounts.includes(accountId);
+}
+
+module.exports = ApiKeyStore;
+module.exports.SCOPES = SCOPES;
+module.exports.MASTER_KEY_ID = MASTER_KEY_ID;
+module.exports.hasScope = hasScope;
+module.exports.canUseAccount = canUseAccount;
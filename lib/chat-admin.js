@@ -0,0 +1,362 @@
+// lib/chat-admin.js
+// Group and channel administration: creation, members, admins, chat info and invite links.
+// Basic groups and channels/supergroups use different methods for almost everything,
+// so each operation picks the right one from the resolved target type.
+
+const { toInputChannel } = require('./target-resolver');
+const { loadMediaSource, uploadFile } = require('./media-uploader');
+const { normalizePeer, buildEntityIndex, describePeer, toIsoDate, peerToTarget } = require('./normalize');
+const logger = require('./logger');
+
+const CHAT_TYPES = ['group', 'supergroup', 'channel'];
+
+const ADMIN_RIGHTS = [
+  'change_info', 'post_messages', 'edit_messages', 'delete_messages', 'ban_users',
+  'invite_users', 'pin_messages', 'add_admins', 'anonymous', 'manage_call', 'other', 'manage_topics'
+];
+
+// Granted when a promotion does not list rights explicitly
+const DEFAULT_ADMIN_RIGHTS = {
+  supergroup: ['change_info', 'delete_messages', 'ban_users', 'invite_users', 'pin_messages', 'manage_call', 'other'],
+  channel: ['change_info', 'post_messages', 'edit_messages', 'delete_messages', 'invite_users', 'other']
+};
+
+const PARTICIPANT_FILTERS = {
+  recent: () => ({ _: 'channelParticipantsRecent' }),
+  admins: () => ({ _: 'channelParticipantsAdmins' }),
+  bots: () => ({ _: 'channelParticipantsBots' }),
+  search: (q) => ({ _: 'channelParticipantsSearch', q: q }),
+  kicked: (q) => ({ _: 'channelParticipantsKicked', q: q }),
+  banned: (q) => ({ _: 'channelParticipantsBanned', q: q })
+};
+
+const PARTICIPANT_ROLES = {
+  channelParticipant: 'member',
+  channelParticipantSelf: 'member',
+  channelParticipantCreator: 'creator',
+  channelParticipantAdmin: 'admin',
+  channelParticipantBanned: 'banned',
+  channelParticipantLeft: 'left',
+  chatParticipant: 'member',
+  chatParticipantCreator: 'creator',
+  chatParticipantAdmin: 'admin'
+};
+
+function adminError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function chatTypeOf(resolved) {
+  if (resolved.type === 'chat') return 'group';
+  return resolved.megagroup ? 'supergroup' : 'channel';
+}
+
+function rightNames(rights) {
+  return rights ? ADMIN_RIGHTS.filter(name => rights[name]) : [];
+}
+
+function normalizeParticipant(participant, index) {
+  const peer = participant.peer
+    ? normalizePeer(participant.peer)
+    : { type: 'user', id: String(participant.user_id) };
+
+  return {
+    user: describePeer(peer, index),
+    role: PARTICIPANT_ROLES[participant._] || 'member',
+    rank: participant.rank || null,
+    admin_rights: rightNames(participant.admin_rights),
+    joined_at: toIsoDate(participant.date),
+    inviter_id: participant.inviter_id ? String(participant.inviter_id) : null,
+    banned_until: participant.banned_rights ? toIsoDate(participant.banned_rights.until_date) : null
+  };
+}
+
+function normalizeInvite(invite) {
+  return {
+    link: invite.link,
+    title: invite.title || null,
+    admin_id: invite.admin_id ? String(invite.admin_id) : null,
+    created_at: toIsoDate(invite.date),
+    expires_at: toIsoDate(invite.expire_date),
+    usage_limit: invite.usage_limit || null,
+    usage: invite.usage || 0,
+    requested: invite.requested || 0,
+    request_needed: !!invite.request_needed,
+    permanent: !!invite.permanent,
+    revoked: !!invite.revoked
+  };
+}
+
+function normalizeCreatedChat(chat) {
+  const peer = normalizePeer(chat._ === 'chat'
+    ? { _: 'peerChat', chat_id: chat.id }
+    : { _: 'peerChannel', channel_id: chat.id });
+
+  return {
+    type: chat._ === 'chat' ? 'group' : (chat.megagroup ? 'supergroup' : 'channel'),
+    id: peer.id,
+    title: chat.title,
+    target: peerToTarget(peer)
+  };
+}
+
+class ChatAdmin {
+  constructor(service) {
+    this.service = service;
+  }
+
+  // Run `action(resolved)` against a group or channel target (users are rejected)
+  withChat(target, action) {
+    return this.service.withResolvedTarget(target, (resolved) => {
+      if (resolved.type === 'user') {
+        throw adminError('Target must be a group, supergroup or channel');
+      }
+      return action(resolved);
+    });
+  }
+
+  // type: group (basic group), supergroup or channel
+  async createChat(type, title, options = {}) {
+    logger.info(`🏗️ Creating ${type} "${title}"...`);
+
+    const users = await this.service.resolveInputUsers(options.users || []);
+    let result;
+
+    if (type === 'group') {
+      result = await this.service.call('messages.createChat', { users: users, title: title });
+    } else {
+      result = await this.service.call('channels.createChannel', {
+        broadcast: type === 'channel',
+        megagroup: type === 'supergroup',
+        title: title,
+        about: options.about || ''
+      });
+    }
+
+    const chat = (result.chats || [])[0];
+    if (!chat) {
+      throw new Error('Telegram did not return the created chat');
+    }
+
+    const created = normalizeCreatedChat(chat);
+
+    if (type === 'group' && options.about) {
+      await this.service.call('messages.editChatAbout', {
+        peer: { _: 'inputPeerChat', chat_id: chat.id },
+        about: options.about
+      });
+    }
+
+    if (type !== 'group' && users.length) {
+      await this.service.call('channels.inviteToChannel', {
+        channel: { _: 'inputChannel', channel_id: chat.id, access_hash: chat.access_hash },
+        users: users
+      });
+    }
+
+    logger.info(`✅ Created ${type} ${created.id}`);
+    return created;
+  }
+
+  async inviteMembers(target, userTargets) {
+    const users = await this.service.resolveInputUsers(userTargets);
+
+    return this.withChat(target, async (resolved) => {
+      logger.info(`➕ Adding ${users.length} member(s) to ${target}`);
+
+      if (resolved.type === 'channel') {
+        await this.service.call('channels.inviteToChannel', { channel: toInputChannel(resolved), users: users });
+      } else {
+        // Basic groups take one user per call
+        for (const user of users) {
+          await this.service.call('messages.addChatUser', { chat_id: resolved.id, user_id: user, fwd_limit: 50 });
+        }
+      }
+
+      return users.length;
+    });
+  }
+
+  // Options: { ban } keeps the user banned from a supergroup/channel instead of just removing them
+  async removeMember(target, userTarget, options = {}) {
+    const user = await this.service.resolveInputUser(userTarget);
+
+    return this.withChat(target, async (resolved) => {
+      logger.info(`➖ Removing ${userTarget} from ${target}${options.ban ? ' (ban)' : ''}`);
+
+      if (resolved.type === 'chat') {
+        await this.service.call('messages.deleteChatUser', { chat_id: resolved.id, user_id: user });
+        return true;
+      }
+
+      const participant = user._ === 'inputUserSelf'
+        ? { _: 'inputPeerSelf' }
+        : { _: 'inputPeerUser', user_id: user.user_id, access_hash: user.access_hash };
+
+      await this.service.call('channels.editBanned', {
+        channel: toInputChannel(resolved),
+        participant: participant,
+        banned_rights: { _: 'chatBannedRights', view_messages: true, until_date: 0 }
+      });
+
+      // Kicking is a ban that is lifted straight away, so the user may join again later
+      if (!options.ban) {
+        await this.service.call('channels.editBanned', {
+          channel: toInputChannel(resolved),
+          participant: participant,
+          banned_rights: { _: 'chatBannedRights', until_date: 0 }
+        });
+      }
+
+      return true;
+    });
+  }
+
+  // Options: { filter, q, offset, limit }. Basic groups have no server-side paging or filters.
+  async getParticipants(target, options = {}) {
+    const offset = options.offset || 0;
+    const limit = options.limit || 100;
+
+    return this.withChat(target, async (resolved) => {
+      if (resolved.type === 'chat') {
+        const result = await this.service.call('messages.getFullChat', { chat_id: resolved.id });
+        const index = buildEntityIndex(result, this.service.accountId);
+        const all = (result.full_chat.participants.participants || []).map(p => normalizeParticipant(p, index));
+
+        return { total: all.length, participants: all.slice(offset, offset + limit) };
+      }
+
+      const filter = PARTICIPANT_FILTERS[options.filter || 'recent'](options.q || '');
+      const result = await this.service.call('channels.getParticipants', {
+        channel: toInputChannel(resolved),
+        filter: filter,
+        offset: offset,
+        limit: limit,
+        hash: 0
+      });
+
+      const index = buildEntityIndex(result, this.service.accountId);
+      return {
+        total: result.count,
+        participants: (result.participants || []).map(p => normalizeParticipant(p, index))
+      };
+    });
+  }
+
+  // rights: list of ADMIN_RIGHTS names (ignored for basic groups, where admins have fixed rights)
+  async setAdmin(target, userTarget, options = {}) {
+    const user = await this.service.resolveInputUser(userTarget);
+    const promote = options.promote !== false;
+
+    return this.withChat(target, async (resolved) => {
+      logger.info(`${promote ? '⬆️ Promoting' : '⬇️ Demoting'} ${userTarget} in ${target}`);
+
+      if (resolved.type === 'chat') {
+        await this.service.call('messages.editChatAdmin', { chat_id: resolved.id, user_id: user, is_admin: promote });
+        return [];
+      }
+
+      const rights = promote ? (options.rights || DEFAULT_ADMIN_RIGHTS[chatTypeOf(resolved)]) : [];
+      const adminRights = { _: 'chatAdminRights' };
+      for (const name of rights) {
+        adminRights[name] = true;
+      }
+
+      await this.service.call('channels.editAdmin', {
+        channel: toInputChannel(resolved),
+        user_id: user,
+        admin_rights: adminRights,
+        rank: promote ? (options.rank || '') : ''
+      });
+
+      return rights;
+    });
+  }
+
+  // changes: { title?, about?, photo?: { url | base64 } }
+  async editInfo(target, changes) {
+    // Upload the photo before resolving, so a retried resolution does not upload twice
+    let photoFile = null;
+    if (changes.photo) {
+      const source = await loadMediaSource(changes.photo);
+      photoFile = await uploadFile(this.service, source.buffer, source.fileName);
+    }
+
+    return this.withChat(target, async (resolved) => {
+      const updated = [];
+      const isChannel = resolved.type === 'channel';
+
+      if (changes.title !== undefined) {
+        await this.service.call(isChannel ? 'channels.editTitle' : 'messages.editChatTitle', isChannel
+          ? { channel: toInputChannel(resolved), title: changes.title }
+          : { chat_id: resolved.id, title: changes.title });
+        updated.push('title');
+      }
+
+      if (changes.about !== undefined) {
+        await this.service.call('messages.editChatAbout', { peer: resolved.peer, about: changes.about });
+        updated.push('about');
+      }
+
+      if (photoFile) {
+        const photo = { _: 'inputChatUploadedPhoto', file: photoFile };
+        await this.service.call(isChannel ? 'channels.editPhoto' : 'messages.editChatPhoto', isChannel
+          ? { channel: toInputChannel(resolved), photo: photo }
+          : { chat_id: resolved.id, photo: photo });
+        updated.push('photo');
+      }
+
+      logger.info(`✅ Updated ${updated.join(', ')} of ${target}`);
+      return updated;
+    });
+  }
+
+  // Options: { title, expire_date (unix seconds), usage_limit, request_needed }
+  async createInviteLink(target, options = {}) {
+    return this.withChat(target, async (resolved) => {
+      const invite = await this.service.call('messages.exportChatInvite', {
+        peer: resolved.peer,
+        title: options.title,
+        expire_date: options.expire_date,
+        usage_limit: options.usage_limit,
+        request_needed: !!options.request_needed
+      });
+
+      logger.info(`🔗 Created invite link for ${target}`);
+      return normalizeInvite(invite);
+    });
+  }
+
+  async listInviteLinks(target, options = {}) {
+    return this.withChat(target, async (resolved) => {
+      const result = await this.service.call('messages.getExportedChatInvites', {
+        peer: resolved.peer,
+        admin_id: { _: 'inputUserSelf' },
+        revoked: !!options.revoked,
+        limit: options.limit || 50
+      });
+
+      return { total: result.count, invites: (result.invites || []).map(normalizeInvite) };
+    });
+  }
+
+  async revokeInviteLink(target, link) {
+    return this.withChat(target, async (resolved) => {
+      const result = await this.service.call('messages.editExportedChatInvite', {
+        peer: resolved.peer,
+        link: link,
+        revoked: true
+      });
+
+      logger.info(`🔗 Revoked invite link for ${target}`);
+      return normalizeInvite(result.invite);
+    });
+  }
+}
+
+module.exports = ChatAdmin;
+module.exports.CHAT_TYPES = CHAT_TYPES;
+module.exports.ADMIN_RIGHTS = ADMIN_RIGHTS;
+module.exports.PARTICIPANT_FILTERS = PARTICIPANT_FILTERS;
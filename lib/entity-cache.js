@@ -0,0 +1,223 @@
+// lib/entity-cache.js
+// Persistent cache of users, chats and channels (id, access_hash, username, type)
+// seen in RPC results and updates, so targets can be resolved without contacts.resolveUsername
+//
+// Environment:
+//   ENTITY_CACHE_TTL_SECONDS  how long a cached entity is trusted (default: 604800 = 7 days)
+
+const { createStore } = require('./storage');
+const logger = require('./logger');
+
+const MAX_WALK_DEPTH = 4;
+
+function entityKey(type, id) {
+  return `${type}:${id}`;
+}
+
+function normalizeUsername(username) {
+  return String(username).replace(/^@/, '').toLowerCase();
+}
+
+function normalizePhone(phone) {
+  return String(phone).replace(/\D/g, '');
+}
+
+// Map a raw user/chat/channel object to a cache record (null for anything else)
+function recordFromEntity(entity) {
+  switch (entity._) {
+    case 'user':
+      return {
+        type: 'user',
+        id: String(entity.id),
+        access_hash: entity.access_hash || null,
+        min: !!entity.min,
+        username: entity.username || null,
+        phone: entity.phone || null,
+        title: [entity.first_name, entity.last_name].filter(Boolean).join(' ') || null,
+        bot: !!entity.bot
+      };
+
+    case 'chat':
+    case 'chatForbidden':
+      return {
+        type: 'chat',
+        id: String(entity.id),
+        access_hash: null,
+        min: false,
+        username: null,
+        title: entity.title || null
+      };
+
+    case 'channel':
+    case 'channelForbidden':
+      return {
+        type: 'channel',
+        id: String(entity.id),
+        access_hash: entity.access_hash || null,
+        min: !!entity.min,
+        username: entity.username || null,
+        title: entity.title || null,
+        megagroup: !!entity.megagroup
+      };
+
+    default:
+      return null;
+  }
+}
+
+class EntityCache {
+  constructor(options = {}) {
+    this.store = options.store || createStore(options.storeName || 'entities');
+    this.ttlMs = (options.ttlSeconds || parseInt(process.env.ENTITY_CACHE_TTL_SECONDS) || 604800) * 1000;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  // Walk an RPC result (or update container) and remember every entity in it
+  ingest(result, depth = 0) {
+    if (!result || typeof result !== 'object' || depth > MAX_WALK_DEPTH || ArrayBuffer.isView(result)) {
+      return;
+    }
+
+    if (Array.isArray(result)) {
+      for (const item of result) {
+        this.ingest(item, depth + 1);
+      }
+      return;
+    }
+
+    const record = recordFromEntity(result);
+    if (record) {
+      this.put(record);
+    }
+
+    for (const field of ['users', 'chats', 'user', 'chat', 'authorization', 'updates']) {
+      if (result[field]) {
+        this.ingest(result[field], depth + 1);
+      }
+    }
+  }
+
+  put(record) {
+    const key = entityKey(record.type, record.id);
+    const existing = this.store.get(key);
+
+    // "min" constructors carry an access_hash that cannot be used for InputPeer, keep the real one
+    if (record.min && existing && !existing.min) {
+      this.store.set(key, {
+        ...existing,
+        username: record.username || existing.username,
+        title: record.title || existing.title,
+        updated_at: Date.now()
+      });
+      return;
+    }
+
+    // Nothing changed and the record is still fresh: skip the write
+    if (existing && !existing.min && existing.access_hash === record.access_hash &&
+        existing.username === record.username && existing.title === record.title &&
+        existing.phone === record.phone &&
+        Date.now() - existing.updated_at < this.ttlMs / 10) {
+      return;
+    }
+
+    if (existing && existing.username && existing.username !== record.username) {
+      this.store.delete(`username:${normalizeUsername(existing.username)}`);
+    }
+
+    this.store.set(key, {
+      ...existing,
+      ...record,
+      access_hash: record.access_hash || (existing && existing.access_hash) || null,
+      updated_at: Date.now()
+    });
+
+    if (record.username) {
+      this.store.set(`username:${normalizeUsername(record.username)}`, key);
+    }
+    if (record.phone) {
+      this.store.set(`phone:${normalizePhone(record.phone)}`, key);
+    }
+  }
+
+  isFresh(record) {
+    return record && Date.now() - record.updated_at < this.ttlMs;
+  }
+
+  // Usable for building an InputPeer: basic groups need no hash, users/channels need a non-min one
+  isUsable(record) {
+    return this.isFresh(record) && !record.min && (record.type === 'chat' || !!record.access_hash);
+  }
+
+  lookup(key) {
+    const record = key ? this.store.get(key) : null;
+
+    if (this.isUsable(record)) {
+      this.stats.hits += 1;
+      return record;
+    }
+
+    this.stats.misses += 1;
+    return null;
+  }
+
+  getById(id, type = null) {
+    const types = type ? [type] : ['user', 'channel', 'chat'];
+
+    for (const candidate of types) {
+      const key = entityKey(candidate, String(id));
+      if (this.store.has(key)) {
+        return this.lookup(key);
+      }
+    }
+
+    this.stats.misses += 1;
+    return null;
+  }
+
+  getByUsername(username) {
+    return this.lookup(this.store.get(`username:${normalizeUsername(username)}`));
+  }
+
+  getByPhone(phone) {
+    return this.lookup(this.store.get(`phone:${normalizePhone(phone)}`));
+  }
+
+  invalidate(type, id) {
+    const key = entityKey(type, String(id));
+    const record = this.store.get(key);
+
+    if (record) {
+      logger.info(`🗑️ Invalidating cached ${type} ${id}`);
+      if (record.username) this.store.delete(`username:${normalizeUsername(record.username)}`);
+      if (record.phone) this.store.delete(`phone:${normalizePhone(record.phone)}`);
+      this.store.delete(key);
+    }
+  }
+
+  invalidateUsername(username) {
+    const indexKey = `username:${normalizeUsername(username)}`;
+    if (this.store.has(indexKey)) {
+      logger.info(`🗑️ Invalidating cached username @${username}`);
+      this.store.delete(indexKey);
+    }
+  }
+
+  clear() {
+    this.store.clear();
+    this.store.flush();
+  }
+
+  getStatus() {
+    const counts = { user: 0, chat: 0, channel: 0 };
+
+    for (const key of this.store.keys()) {
+      const type = key.split(':')[0];
+      if (type in counts) counts[type] += 1;
+    }
+
+    return { ...counts, ...this.stats };
+  }
+}
+
+module.exports = EntityCache;
+module.exports.recordFromEntity = recordFromEntity;
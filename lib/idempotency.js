@@ -0,0 +1,134 @@
+// lib/idempotency.js
+// Idempotency-Key support for mutating routes
+//
+// The first response for a key is stored and replayed for any retry within the window.
+// The key also seeds a deterministic random_id so Telegram itself drops duplicate sends.
+//
+// Environment:
+//   IDEMPOTENCY_TTL_SECONDS  how long keys and their responses are kept (default: 86400)
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const logger = require('./logger');
+
+const HEADER_NAME = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Positive 63-bit long derived from the key (decimal string, as @mtproto/core expects longs)
+function deriveRandomId(idempotencyKey, salt = '') {
+  const digest = sha256(`random_id:${salt}:${idempotencyKey}`);
+  return (digest.readBigUInt64BE(0) & 0x7FFFFFFFFFFFFFFFn).toString();
+}
+
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.store = options.store || createStore('idempotency');
+    this.ttlMs = (options.ttlSeconds || parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400) * 1000;
+    // Identifies the caller (e.g. API key + account), so one client's key never replays another's response
+    this.scopeOf = options.scopeOf || (() => '');
+
+    this.sweepTimer = setInterval(() => this.purgeExpired(), 10 * 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+
+    for (const [key, record] of this.store.entries()) {
+      if (record.expires_at <= now) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  // Express middleware; requests without the header pass straight through
+  middleware() {
+    return (req, res, next) => {
+      const idempotencyKey = req.get(HEADER_NAME);
+
+      if (idempotencyKey === undefined) {
+        return next();
+      }
+
+      if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          error: `Invalid Idempotency-Key header. Use 1-${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      // Keys are scoped to the caller and the route, so the same key from two clients
+      // or on two endpoints does not collide
+      const scopedKey = `${this.scopeOf(req)} ${idempotencyKey}`;
+      const storeKey = sha256(`${req.method} ${req.baseUrl}${req.path} ${scopedKey}`).toString('hex');
+      // Query flags (?revoke=false, ?ban=true, ?logout=true) change what a request does, so they count too
+      const fingerprint = sha256(JSON.stringify({ query: req.query || {}, body: req.body || {} })).toString('hex');
+      const existing = this.store.get(storeKey);
+
+      if (existing && existing.expires_at > Date.now()) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            error: 'Idempotency-Key reused with a different request body or query'
+          });
+        }
+
+        if (existing.state === 'in_progress') {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        logger.info('🔁 Replaying stored response for Idempotency-Key');
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(existing.body);
+      }
+
+      this.store.set(storeKey, {
+        state: 'in_progress',
+        fingerprint: fingerprint,
+        expires_at: Date.now() + this.ttlMs
+      });
+
+      // Also seeds deriveRandomId(), so two callers' sends are never deduplicated against each other
+      req.idempotencyKey = scopedKey;
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        this.record(storeKey, fingerprint, res.statusCode, body);
+        return originalJson(body);
+      };
+
+      // Client went away before a response was produced: let a retry run again
+      res.on('close', () => {
+        const record = this.store.get(storeKey);
+        if (record && record.state === 'in_progress') {
+          this.store.delete(storeKey);
+        }
+      });
+
+      next();
+    };
+  }
+
+  record(storeKey, fingerprint, statusCode, body) {
+    // Server errors and throttling are not final outcomes, so retries must be allowed through
+    if (statusCode >= 500 || statusCode === 429) {
+      this.store.delete(storeKey);
+      return;
+    }
+
+    this.store.set(storeKey, {
+      state: 'completed',
+      fingerprint: fingerprint,
+      status_code: statusCode,
+      body: body,
+      expires_at: Date.now() + this.ttlMs
+    });
+  }
+}
+
+module.exports = IdempotencyStore;
+module.exports.deriveRandomId = deriveRandomId;
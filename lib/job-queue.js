@@ -0,0 +1,285 @@
+// lib/job-queue.js
+// Persisted outbound job queue with FLOOD_WAIT-aware rescheduling
+//
+// Environment:
+//   JOB_MAX_ATTEMPTS         attempts for transient failures (default: 5)
+//   JOB_RETRY_BASE_MS        first retry delay for transient failures (default: 5000)
+//   JOB_RETENTION_HOURS      how long finished jobs stay queryable (default: 24)
+//   JOB_POLL_INTERVAL_MS     worker tick (default: 1000)
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createStore } = require('./storage');
+const { getFloodWaitSeconds, isTransientError } = require('./telegram-errors');
+const logger = require('./logger');
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.store = options.store || createStore('jobs');
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = options.retryBaseMs || parseInt(process.env.JOB_RETRY_BASE_MS) || 5000;
+    this.retentionMs = (options.retentionHours || parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 3600000;
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+
+    this.handlers = new Map();
+    this.timer = null;
+    // Jobs in the same lane run one at a time; different lanes run side by side
+    this.laneOf = options.laneOf || (job => (job.payload && job.payload.account) || 'default');
+    this.activeLanes = new Set();
+
+    this.recoverInterruptedJobs();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Jobs that were running when the process died are picked up again
+  recoverInterruptedJobs() {
+    for (const job of this.store.values()) {
+      if (job.status === 'running') {
+        logger.warn(`⚠️ Re-queueing interrupted job ${job.id}`);
+        this.save({ ...job, status: 'queued' });
+      }
+    }
+  }
+
+  enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: options.id || crypto.randomUUID(),
+      type: type,
+      status: 'queued',
+      payload: payload,
+      attempts: 0,
+      flood_waits: 0,
+      flood_wait_seconds: 0,
+      run_at: options.runAt || now,
+      created_at: now,
+      updated_at: now,
+      completed_at: null,
+      result: null,
+      error: null
+    };
+
+    this.save(job);
+    logger.info(`📥 Job ${job.id} (${type}) queued`);
+
+    // Pick it up right away instead of waiting for the next tick
+    setImmediate(() => this.tick());
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(id) || null;
+  }
+
+  // `filter(job)` narrows the list further, e.g. to the accounts an API key may use
+  list({ status, limit = 50, filter = () => true } = {}) {
+    return this.store.values()
+      .filter(job => (!status || job.status === status) && filter(job))
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(0, limit);
+  }
+
+  save(job) {
+    job.updated_at = Date.now();
+    this.store.set(job.id, job);
+    return job;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    logger.info('👷 Job worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.store.flush();
+  }
+
+  dueJobs(lane) {
+    const now = Date.now();
+
+    return this.store.values()
+      .filter(job => job.status === 'queued' && job.run_at <= now && (lane === undefined || this.laneOf(job) === lane))
+      .sort((a, b) => a.run_at - b.run_at);
+  }
+
+  // One worker per lane (by default the job's account): sends from one account stay sequential,
+  // while its typing simulation and send delays do not hold up other accounts
+  tick() {
+    for (const job of this.dueJobs()) {
+      const lane = this.laneOf(job);
+      if (!this.activeLanes.has(lane)) {
+        this.drainLane(lane);
+      }
+    }
+
+    this.purgeFinishedJobs();
+  }
+
+  async drainLane(lane) {
+    this.activeLanes.add(lane);
+    try {
+      let job;
+      while ((job = this.dueJobs(lane)[0])) {
+        await this.run(job);
+      }
+    } catch (error) {
+      logger.error(`❌ Job worker error (${lane}):`, error);
+    } finally {
+      this.activeLanes.delete(lane);
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    job.status = 'running';
+    job.attempts += 1;
+    this.save(job);
+
+    logger.info(`⚙️ Running job ${job.id} (${job.type}), attempt ${job.attempts}`);
+
+    try {
+      job.result = await handler(job.payload, job);
+      job.status = 'completed';
+      job.completed_at = Date.now();
+      job.error = null;
+      this.save(job);
+
+      logger.info(`✅ Job ${job.id} completed`);
+      this.emit('finished', job);
+
+    } catch (error) {
+      this.handleFailure(job, error);
+    }
+  }
+
+  handleFailure(job, error) {
+    const floodWait = getFloodWaitSeconds(error);
+
+    job.error = {
+      message: error.message || error.error_message || 'Unknown error',
+      telegram_error: error.error_message || null,
+      code: error.error_code || null,
+      status: error.status || null
+    };
+
+    // FLOOD_WAIT is Telegram telling us exactly when to retry; it does not use up an attempt
+    if (floodWait !== null) {
+      job.attempts -= 1;
+      job.flood_waits += 1;
+      job.flood_wait_seconds += floodWait;
+      job.status = 'queued';
+      job.run_at = Date.now() + floodWait * 1000;
+      this.save(job);
+
+      logger.warn(`⏳ Job ${job.id} hit ${error.error_message}, rescheduled in ${floodWait}s`);
+      return;
+    }
+
+    if (isTransientError(error) && job.attempts < this.maxAttempts) {
+      const delay = this.retryBaseMs * Math.pow(2, job.attempts - 1);
+      job.status = 'queued';
+      job.run_at = Date.now() + delay;
+      this.save(job);
+
+      logger.warn(`⚠️ Job ${job.id} failed (${job.error.message}), retrying in ${delay}ms`);
+      return;
+    }
+
+    job.status = 'failed';
+    job.completed_at = Date.now();
+    this.save(job);
+
+    logger.error(`❌ Job ${job.id} failed permanently:`, job.error.message);
+    this.emit('finished', job);
+  }
+
+  purgeFinishedJobs() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const job of this.store.values()) {
+      if (FINISHED_STATUSES.includes(job.status) && job.completed_at < cutoff) {
+        this.store.delete(job.id);
+      }
+    }
+  }
+
+  // Resolves with the finished job, or null if it is still pending after `timeoutMs`
+  waitForCompletion(id, timeoutMs) {
+    const job = this.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      const onFinished = (finishedJob) => {
+        if (finishedJob.id === id) {
+          clearTimeout(timer);
+          this.removeListener('finished', onFinished);
+          resolve(finishedJob);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        this.removeListener('finished', onFinished);
+        resolve(null);
+      }, timeoutMs);
+
+      this.on('finished', onFinished);
+    });
+  }
+
+  getDepth(filter = () => true) {
+    const depth = { queued: 0, running: 0, completed: 0, failed: 0 };
+
+    for (const job of this.store.values()) {
+      if (filter(job)) {
+        depth[job.status] = (depth[job.status] || 0) + 1;
+      }
+    }
+
+    return depth;
+  }
+}
+
+// Public representation returned by the API (payload stays private)
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    flood_waits: job.flood_waits,
+    flood_wait_seconds: job.flood_wait_seconds,
+    scheduled_for: job.status === 'queued' ? new Date(job.run_at).toISOString() : null,
+    created_at: new Date(job.created_at).toISOString(),
+    updated_at: new Date(job.updated_at).toISOString(),
+    completed_at: job.completed_at ? new Date(job.completed_at).toISOString() : null,
+    message_id: job.result ? job.result.message_id : null,
+    result: job.result,
+    error: job.error
+  };
+}
+
+module.exports = JobQueue;
+module.exports.serializeJob = serializeJob;
@@ -1,10 +1,12 @@
 // lib/localStorage-polyfill.js
 // LocalStorage polyfill for Node.js environment
 
+const logger = require('./logger');
+
 class LocalStoragePolyfill {
   constructor() {
     this.data = new Map();
-    console.log('📦 LocalStorage polyfill initialized');
+    logger.debug('📦 LocalStorage polyfill initialized');
   }
 
   getItem(key) {
@@ -47,12 +49,12 @@ class LocalStoragePolyfill {
 if (typeof global !== 'undefined') {
   if (!global.localStorage) {
     global.localStorage = new LocalStoragePolyfill();
-    console.log('✅ Global localStorage polyfill created');
+    logger.debug('✅ Global localStorage polyfill created');
   }
   
   if (!global.sessionStorage) {
     global.sessionStorage = new LocalStoragePolyfill();
-    console.log('✅ Global sessionStorage polyfill created');
+    logger.debug('✅ Global sessionStorage polyfill created');
   }
 
   // Also add to globalThis for modern Node.js
@@ -0,0 +1,141 @@
+// lib/logger.js
+// Leveled JSON logger. One line per entry, with the request id of the HTTP request being
+// handled (if any) and secrets redacted before anything is written.
+//
+// Call it like console: logger.info('✅ Sent', details) / logger.error('❌ Failed:', error).
+// Strings and numbers form the message, Error objects go to "error", anything else to "data".
+//
+// Environment:
+//   LOG_LEVEL  debug | info | warn | error (default: info)
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged
+const SECRET_FIELDS = new Set([
+  'phone', 'phone_number', 'phonenumber', 'code', 'phone_code', 'phone_code_hash', 'hash', 'password',
+  'token', 'secret', 'api_key', 'apikey', 'authorization', 'auth_key', 'authkey', 'access_hash', 'file_reference', 'bytes'
+]);
+
+const SECRET_PATTERNS = [
+  // Bearer tokens and our own API keys
+  [/Bearer\s+[\w.~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/(tgk_[a-f0-9]{12})\.[\w-]+/g, '$1.[REDACTED]'],
+  // International phone numbers keep their last two digits for correlation
+  [/\+\d{5,13}(\d{2})\b/g, '+[REDACTED]$1'],
+  // Auth keys, hashes and other long hex blobs
+  [/\b[a-f0-9]{32,}\b/gi, '[REDACTED]']
+];
+
+const context = new AsyncLocalStorage();
+
+function isSecretField(name) {
+  const key = String(name).toLowerCase();
+  return SECRET_FIELDS.has(key) || key.endsWith('_hash') || key.endsWith('_token') ||
+    key.endsWith('_secret') || key.includes('password');
+}
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 5) {
+    return '[Object]';
+  }
+  if (ArrayBuffer.isView(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth + 1);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = isSecretField(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? '[REDACTED]'
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function serializeError(error) {
+  const serialized = { message: error.message };
+
+  // MTProto RPC errors carry these instead of a useful message
+  if (error.error_message) serialized.error_message = error.error_message;
+  if (error.error_code) serialized.error_code = error.error_code;
+  if (error.status) serialized.status = error.status;
+  if (error.stack && LEVELS[currentLevel()] <= LEVELS.debug) serialized.stack = error.stack;
+
+  return serialized;
+}
+
+function currentLevel() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+function write(level, args) {
+  if (LEVELS[level] < LEVELS[currentLevel()]) {
+    return;
+  }
+
+  const words = [];
+  const data = [];
+  let error = null;
+
+  for (const arg of args) {
+    if (typeof arg === 'string' || typeof arg === 'number' || typeof arg === 'boolean' || arg === null || arg === undefined) {
+      words.push(String(arg));
+    } else if (arg instanceof Error) {
+      error = error || arg;
+    } else {
+      data.push(arg);
+    }
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    msg: words.join(' '),
+    ...context.getStore()
+  };
+
+  if (data.length) entry.data = data.length === 1 ? data[0] : data;
+  if (error) entry.error = error;
+
+  const line = JSON.stringify(redact(entry));
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Express middleware: reuse a sane X-Request-Id from the caller (or make one), echo it back,
+// and tag every log line written while handling the request
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  context.run({ request_id: requestId }, next);
+}
+
+module.exports = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+  requestContext,
+  redact
+};
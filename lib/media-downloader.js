@@ -0,0 +1,165 @@
+// lib/media-downloader.js
+// Describes downloadable photos/documents, encodes them as opaque file tokens
+// and reads them back from Telegram in 512 KB upload.getFile chunks
+
+const { encodeSigned, decodeSigned } = require('./signing');
+
+// 512 KB chunks at 512 KB aligned offsets never cross a 1 MB boundary, as upload.getFile requires
+const CHUNK_SIZE = 512 * 1024;
+
+function fileError(message, status = 404) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function largestPhotoSize(sizes) {
+  let best = null;
+
+  for (const size of sizes || []) {
+    if (size._ !== 'photoSize' && size._ !== 'photoSizeProgressive') {
+      continue;
+    }
+
+    // Progressive sizes list the byte offsets of each scan; the last one is the full image
+    const bytes = size._ === 'photoSizeProgressive' ? Math.max(...size.sizes) : size.size;
+    if (!best || size.w * size.h > best.w * best.h) {
+      best = { type: size.type, w: size.w, h: size.h, size: bytes };
+    }
+  }
+
+  return best;
+}
+
+// Everything needed to download the file behind a messageMedia* object (null if there is none)
+function describeMediaFile(media) {
+  if (!media) {
+    return null;
+  }
+
+  if (media._ === 'messageMediaPhoto' && media.photo && media.photo._ === 'photo') {
+    const photo = media.photo;
+    const size = largestPhotoSize(photo.sizes);
+    if (!size) return null;
+
+    return {
+      kind: 'photo',
+      id: String(photo.id),
+      access_hash: String(photo.access_hash),
+      file_reference: Buffer.from(photo.file_reference).toString('hex'),
+      thumb_size: size.type,
+      dc_id: photo.dc_id,
+      size: size.size,
+      mime_type: 'image/jpeg',
+      file_name: `photo_${photo.id}.jpg`
+    };
+  }
+
+  if (media._ === 'messageMediaDocument' && media.document && media.document._ === 'document') {
+    const document = media.document;
+    const fileName = (document.attributes || []).find(attribute => attribute._ === 'documentAttributeFilename');
+
+    return {
+      kind: 'document',
+      id: String(document.id),
+      access_hash: String(document.access_hash),
+      file_reference: Buffer.from(document.file_reference).toString('hex'),
+      thumb_size: '',
+      dc_id: document.dc_id,
+      size: Number(document.size),
+      mime_type: document.mime_type || 'application/octet-stream',
+      file_name: fileName ? fileName.file_name : `document_${document.id}`
+    };
+  }
+
+  return null;
+}
+
+function buildFileLocation(file) {
+  return {
+    _: file.kind === 'photo' ? 'inputPhotoFileLocation' : 'inputDocumentFileLocation',
+    id: file.id,
+    access_hash: file.access_hash,
+    file_reference: Buffer.from(file.file_reference, 'hex'),
+    thumb_size: file.thumb_size
+  };
+}
+
+// Signed token for GET /api/files/:token. It also records where the file was seen
+// (peer + message_id) so an expired file_reference can be refreshed from the message, and
+// the account that saw it: file references and access hashes are only valid for that account.
+function encodeFileToken(file, account) {
+  return encodeSigned('file', { ...file, account: account });
+}
+
+function decodeFileToken(token, account) {
+  const file = decodeSigned('file', token);
+
+  if (!file || !['photo', 'document'].includes(file.kind) || !file.id || !file.access_hash) {
+    throw fileError('Invalid file token', 400);
+  }
+  if (file.account !== account) {
+    throw fileError('File token was issued for another account', 400);
+  }
+
+  return file;
+}
+
+// Parse a single "bytes=" range. Returns null when there is no (usable) Range header,
+// or { unsatisfiable: true } when it lies outside the file.
+function parseRange(header, size) {
+  const match = String(header || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2]) || !size) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+}
+
+// Yields the bytes from `start` to `end` (inclusive). `getChunk(offset, limit)` returns a Buffer.
+async function* readFileRange(getChunk, start, end) {
+  let offset = start - (start % CHUNK_SIZE);
+
+  while (offset <= end) {
+    const chunk = await getChunk(offset, CHUNK_SIZE);
+    if (chunk.length === 0) {
+      return;
+    }
+
+    const from = Math.max(start - offset, 0);
+    const to = Math.min(end - offset + 1, chunk.length);
+    yield chunk.subarray(from, to);
+
+    if (chunk.length < CHUNK_SIZE) {
+      return;
+    }
+    offset += CHUNK_SIZE;
+  }
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  fileError,
+  describeMediaFile,
+  buildFileLocation,
+  encodeFileToken,
+  decodeFileToken,
+  parseRange,
+  readFileRange
+};
@@ -0,0 +1,358 @@
+// lib/media-uploader.js
+// Loads media from a URL or base64 payload, uploads it in parts and builds InputMedia objects
+//
+// Environment:
+//   MEDIA_MAX_BYTES          largest file accepted from a URL or base64 payload (default: 52428800 = 50 MB)
+//   MEDIA_URL_ALLOWED_HOSTS  comma-separated hosts that may be fetched even though they resolve to
+//                            a private, loopback or link-local address (default: none)
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const fetch = require('node-fetch');
+const logger = require('./logger');
+
+const PART_SIZE = 512 * 1024;
+// Files above 10 MB must go through upload.saveBigFilePart
+const BIG_FILE_THRESHOLD = 10 * 1024 * 1024;
+const MAX_PARTS = 4000;
+
+const MEDIA_TYPES = ['photo', 'document', 'voice', 'audio', 'video'];
+
+const MIME_BY_EXTENSION = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
+
+// Photos Telegram will re-encode; anything else is sent as a document
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+function mediaError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Media URLs are fetched from inside the server, so they must not reach internal services
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const MAX_REDIRECTS = 5;
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function getAllowedHosts() {
+  return (process.env.MEDIA_URL_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// dns.lookup that refuses private addresses. Checking at connect time (rather than resolving
+// once up front) means a host cannot pass the check and then rebind to an internal address.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const safeAgents = {
+  'http:': new http.Agent({ lookup: safeLookup }),
+  'https:': new https.Agent({ lookup: safeLookup })
+};
+
+// Throws unless `url` is http(s) and not a literal private address; returns the agent to fetch it with.
+// IP literals never go through the lookup, so they are checked here.
+function checkMediaUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw mediaError('Media url is not a valid URL');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw mediaError('Media url must be an http(s) URL');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().includes(hostname)) {
+    return undefined;
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw mediaError('Media url must not point to a private address');
+  }
+
+  return safeAgents[parsed.protocol];
+}
+
+// Redirects are followed by hand so every hop gets the same checks
+async function fetchMedia(url, maxBytes) {
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    let response;
+    try {
+      response = await fetch(current, {
+        size: maxBytes,
+        timeout: 60000,
+        redirect: 'manual',
+        agent: checkMediaUrl(current)
+      });
+    } catch (error) {
+      // node-fetch wraps the lookup error and keeps its code
+      if (error.code === 'EPRIVATEADDRESS') {
+        throw mediaError('Media url must not point to a private address');
+      }
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url: current };
+    }
+
+    current = new URL(location, current).toString();
+  }
+
+  throw mediaError(`Failed to download media: more than ${MAX_REDIRECTS} redirects`, 422);
+}
+
+function getMaxBytes() {
+  return parseInt(process.env.MEDIA_MAX_BYTES) || 50 * 1024 * 1024;
+}
+
+function guessMimeType(fileName) {
+  return MIME_BY_EXTENSION[path.extname(fileName || '').toLowerCase()] || 'application/octet-stream';
+}
+
+function fileNameFromResponse(response, url) {
+  const disposition = response.headers.get('content-disposition') || '';
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+
+  if (match) {
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (error) {
+      // Malformed percent-encoding from the remote server
+      return match[1];
+    }
+  }
+
+  const urlPath = new URL(url).pathname;
+  return path.basename(urlPath) || 'file';
+}
+
+// Returns { buffer, fileName, mimeType } from `url` or `base64` (optionally a data: URL)
+async function loadMediaSource({ url, base64, file_name, mime_type }) {
+  const maxBytes = getMaxBytes();
+
+  if (url) {
+    checkMediaUrl(url);
+    logger.info(`📥 Downloading media from ${new URL(url).host}...`);
+
+    const { response, url: finalUrl } = await fetchMedia(url, maxBytes);
+    if (!response.ok) {
+      throw mediaError(`Failed to download media: HTTP ${response.status}`, 422);
+    }
+
+    let buffer;
+    try {
+      buffer = await response.buffer();
+    } catch (error) {
+      // node-fetch enforces `size` while reading the body
+      if (error.type === 'max-size') {
+        throw mediaError(`Media exceeds the ${maxBytes} byte limit`, 413);
+      }
+      throw error;
+    }
+
+    const fileName = file_name || fileNameFromResponse(response, finalUrl);
+    const headerMime = (response.headers.get('content-type') || '').split(';')[0].trim();
+
+    return {
+      buffer: buffer,
+      fileName: fileName,
+      mimeType: mime_type || (headerMime && headerMime !== 'application/octet-stream' ? headerMime : guessMimeType(fileName))
+    };
+  }
+
+  if (base64) {
+    const dataUrl = String(base64).match(/^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s);
+    const buffer = Buffer.from(dataUrl ? dataUrl[2] : base64, 'base64');
+
+    if (buffer.length === 0) {
+      throw mediaError('Media base64 payload is empty');
+    }
+    if (buffer.length > maxBytes) {
+      throw mediaError(`Media exceeds the ${maxBytes} byte limit`, 413);
+    }
+
+    const fileName = file_name || 'file';
+    return {
+      buffer: buffer,
+      fileName: fileName,
+      mimeType: mime_type || (dataUrl && dataUrl[1]) || guessMimeType(fileName)
+    };
+  }
+
+  throw mediaError('Provide either url or base64');
+}
+
+function randomLong() {
+  return (crypto.randomBytes(8).readBigUInt64BE(0) & 0x7FFFFFFFFFFFFFFFn).toString();
+}
+
+// Upload a buffer in 512 KB parts and return the InputFile for it
+async function uploadFile(service, buffer, fileName) {
+  const fileId = randomLong();
+  const totalParts = Math.ceil(buffer.length / PART_SIZE);
+  const isBig = buffer.length > BIG_FILE_THRESHOLD;
+
+  if (totalParts > MAX_PARTS) {
+    throw mediaError('File is too large for Telegram', 413);
+  }
+
+  logger.info(`📤 Uploading ${fileName} (${buffer.length} bytes, ${totalParts} parts${isBig ? ', big file' : ''})...`);
+
+  for (let part = 0; part < totalParts; part++) {
+    const bytes = buffer.subarray(part * PART_SIZE, (part + 1) * PART_SIZE);
+
+    if (isBig) {
+      await service.call('upload.saveBigFilePart', {
+        file_id: fileId,
+        file_part: part,
+        file_total_parts: totalParts,
+        bytes: bytes
+      });
+    } else {
+      await service.call('upload.saveFilePart', {
+        file_id: fileId,
+        file_part: part,
+        bytes: bytes
+      });
+    }
+  }
+
+  logger.info('✅ Upload complete');
+
+  if (isBig) {
+    return { _: 'inputFileBig', id: fileId, parts: totalParts, name: fileName };
+  }
+
+  return {
+    _: 'inputFile',
+    id: fileId,
+    parts: totalParts,
+    name: fileName,
+    md5_checksum: crypto.createHash('md5').update(buffer).digest('hex')
+  };
+}
+
+function detectMediaType(mimeType) {
+  if (PHOTO_MIME_TYPES.includes(mimeType)) return 'photo';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+// Build the InputMedia for messages.sendMedia
+function buildInputMedia(type, file, source, details = {}) {
+  if (type === 'photo') {
+    return { _: 'inputMediaUploadedPhoto', file: file };
+  }
+
+  const attributes = [{ _: 'documentAttributeFilename', file_name: source.fileName }];
+  let mimeType = source.mimeType;
+
+  if (type === 'voice' || type === 'audio') {
+    attributes.push({
+      _: 'documentAttributeAudio',
+      voice: type === 'voice',
+      duration: Math.round(details.duration || 0),
+      title: details.title,
+      performer: details.performer
+    });
+
+    // Voice notes are only rendered as such for OGG/Opus
+    if (type === 'voice' && !mimeType.startsWith('audio/')) {
+      mimeType = 'audio/ogg';
+    }
+  }
+
+  if (type === 'video') {
+    attributes.push({
+      _: 'documentAttributeVideo',
+      supports_streaming: true,
+      duration: Math.round(details.duration || 0),
+      w: details.width || 0,
+      h: details.height || 0
+    });
+  }
+
+  return {
+    _: 'inputMediaUploadedDocument',
+    // Keep documents as files instead of letting Telegram turn images into photos
+    force_file: type === 'document',
+    file: file,
+    mime_type: mimeType,
+    attributes: attributes
+  };
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  loadMediaSource,
+  uploadFile,
+  detectMediaType,
+  buildInputMedia,
+  randomLong
+};
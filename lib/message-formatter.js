@@ -0,0 +1,345 @@
+// lib/message-formatter.js
+// Converts markdown / HTML formatted text into plain text plus MessageEntity objects.
+// Offsets and lengths are in UTF-16 code units, which is what JS string indices already are.
+//
+// Markdown:
+//   **bold**  *italic* / _italic_  __underline__  ~~strike~~  ||spoiler||
+//   `code`  ```lang\npre```  [text](https://url)  [name](tg://user?id=123)  > quote
+//   A backslash escapes the next character. Markers without a matching closer, markers inside
+//   words (2*3*4, snake_case) and Python-style dunders (__init__, a lowercase
+//   identifier between "__") are kept as literal text.
+//
+// HTML (Bot API subset):
+//   <b> <strong> <i> <em> <u> <ins> <s> <strike> <del> <code> <pre> <pre><code class="language-x">
+//   <a href="..."> <tg-spoiler> <span class="tg-spoiler"> <blockquote> <br>, plus &amp; &lt; &gt; &quot; &#NN;
+//
+// Links to tg://user?id=<id> become inputMessageEntityMentionName entities. Their user_id is left
+// as the raw id here; MTProtoService.resolveMentionEntities turns it into an InputUser.
+
+const PARSE_MODES = ['markdown', 'html'];
+
+const MENTION_URL_PATTERN = /^tg:\/\/user\?id=(\d+)$/i;
+
+const MARKDOWN_MARKERS = [
+  { marker: '**', type: 'messageEntityBold' },
+  { marker: '__', type: 'messageEntityUnderline' },
+  { marker: '~~', type: 'messageEntityStrike' },
+  { marker: '||', type: 'messageEntitySpoiler' },
+  { marker: '*', type: 'messageEntityItalic' },
+  { marker: '_', type: 'messageEntityItalic' }
+];
+
+const HTML_TAGS = {
+  b: 'messageEntityBold',
+  strong: 'messageEntityBold',
+  i: 'messageEntityItalic',
+  em: 'messageEntityItalic',
+  u: 'messageEntityUnderline',
+  ins: 'messageEntityUnderline',
+  s: 'messageEntityStrike',
+  strike: 'messageEntityStrike',
+  del: 'messageEntityStrike',
+  code: 'messageEntityCode',
+  pre: 'messageEntityPre',
+  a: 'messageEntityTextUrl',
+  'tg-spoiler': 'messageEntitySpoiler',
+  span: 'messageEntitySpoiler',
+  blockquote: 'messageEntityBlockquote'
+};
+
+const HTML_NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function formatError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function linkEntity(url, offset, length) {
+  const mention = url.match(MENTION_URL_PATTERN);
+  if (mention) {
+    return { _: 'inputMessageEntityMentionName', offset, length, user_id: mention[1] };
+  }
+
+  return { _: 'messageEntityTextUrl', offset, length, url };
+}
+
+function isWordChar(ch) {
+  return !!ch && /[\p{L}\p{N}]/u.test(ch);
+}
+
+// Position of the marker that closes one opened at `from`, or -1. The closer must be the same
+// run length (a "*" does not close on half of a "**"), follow a non-space and end the word.
+function findCloser(input, marker, from) {
+  const markerChar = marker[0];
+
+  for (let j = input.indexOf(marker, from); j !== -1; j = input.indexOf(marker, j + 1)) {
+    const end = j + marker.length;
+    if (input[j - 1] === markerChar || input[end] === markerChar) {
+      continue;
+    }
+    if (input[j - 1] === '\\' || /\s/.test(input[j - 1]) || isWordChar(input[end])) {
+      continue;
+    }
+    return j;
+  }
+
+  return -1;
+}
+
+function parseMarkdown(input) {
+  const entities = [];
+  const open = new Map(); // marker -> { offset in the output text, closeAt in the input }
+  const links = [];       // open "[" with the position of their "](url)"
+  let quoteStart = null;
+  let text = '';
+  let i = 0;
+
+  const closeQuote = () => {
+    if (quoteStart !== null) {
+      entities.push({ _: 'messageEntityBlockquote', offset: quoteStart, length: text.length - quoteStart });
+      quoteStart = null;
+    }
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+    const lineStart = i === 0 || input[i - 1] === '\n';
+
+    // "> " starts a quote line; ">5 items" is plain text
+    if (lineStart && input.startsWith('> ', i)) {
+      if (quoteStart === null) quoteStart = text.length;
+      i += 2;
+      continue;
+    }
+
+    if (ch === '\n' && quoteStart !== null && !input.startsWith('> ', i + 1)) {
+      closeQuote();
+    }
+
+    if (ch === '\\' && i + 1 < input.length) {
+      text += input[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Code spans and blocks are copied verbatim (no nested formatting)
+    if (input.startsWith('```', i)) {
+      const end = input.indexOf('```', i + 3);
+      if (end !== -1) {
+        let code = input.slice(i + 3, end);
+        let language = '';
+        const firstLine = code.match(/^([\w#+.-]*)\n/);
+        if (firstLine) {
+          language = firstLine[1];
+          code = code.slice(firstLine[0].length);
+        }
+        code = code.replace(/\n$/, '');
+
+        entities.push({ _: 'messageEntityPre', offset: text.length, length: code.length, language });
+        text += code;
+        i = end + 3;
+        continue;
+      }
+    }
+
+    if (ch === '`') {
+      const end = input.indexOf('`', i + 1);
+      if (end > i + 1) {
+        const code = input.slice(i + 1, end);
+        entities.push({ _: 'messageEntityCode', offset: text.length, length: code.length });
+        text += code;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (ch === '[') {
+      const close = input.indexOf('](', i + 1);
+      const urlEnd = close === -1 ? -1 : input.indexOf(')', close + 2);
+      if (urlEnd !== -1 && !/\s/.test(input.slice(close + 2, urlEnd))) {
+        links.push({ offset: text.length, close, url: input.slice(close + 2, urlEnd), urlEnd });
+        i += 1;
+        continue;
+      }
+    }
+
+    if (ch === ']' && links.length && links[links.length - 1].close === i) {
+      const link = links.pop();
+      entities.push(linkEntity(link.url, link.offset, text.length - link.offset));
+      i = link.urlEnd + 1;
+      continue;
+    }
+
+    const format = MARKDOWN_MARKERS.find(({ marker }) => input.startsWith(marker, i));
+    if (format) {
+      const { marker, type } = format;
+      const after = i + marker.length;
+
+      if (open.has(marker)) {
+        const { offset, closeAt } = open.get(marker);
+        if (closeAt === i) {
+          open.delete(marker);
+          entities.push({ _: type, offset, length: text.length - offset });
+          i = after;
+          continue;
+        }
+      } else if (!isWordChar(input[i - 1]) && input[after] && !/\s/.test(input[after])) {
+        // Only open when a matching closer follows; otherwise the marker is literal text
+        const closeAt = findCloser(input, marker, after + 1);
+        const isDunder = marker === '__' && closeAt !== -1 && /^[a-z][a-z0-9_]+$/.test(input.slice(after, closeAt));
+
+        if (closeAt !== -1 && !isDunder) {
+          open.set(marker, { offset: text.length, closeAt });
+          i = after;
+          continue;
+        }
+      }
+    }
+
+    text += ch;
+    i += 1;
+  }
+
+  closeQuote();
+  return { text, entities };
+}
+
+function decodeHtmlEntity(name) {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    // Out-of-range and surrogate code points stay literal (fromCodePoint would throw a RangeError)
+    const valid = !Number.isNaN(code) && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+    return valid ? String.fromCodePoint(code) : null;
+  }
+
+  return HTML_NAMED_ENTITIES[name.toLowerCase()] || null;
+}
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) {
+    return null;
+  }
+
+  const value = match[1] ?? match[2] ?? match[3];
+  return value.replace(/&(#?\w+);/g, (all, entity) => decodeHtmlEntity(entity) ?? all);
+}
+
+function parseHtml(input) {
+  const entities = [];
+  const stack = [];
+  const tokenPattern = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>|&(#?\w+);/g;
+  let text = '';
+  let last = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(input)) !== null) {
+    text += input.slice(last, match.index);
+    last = tokenPattern.lastIndex;
+
+    if (match[4] !== undefined) {
+      const decoded = decodeHtmlEntity(match[4]);
+      text += decoded === null ? match[0] : decoded;
+      continue;
+    }
+
+    const [, closing, rawName, attributes] = match;
+    const name = rawName.toLowerCase();
+
+    if (name === 'br') {
+      text += '\n';
+      continue;
+    }
+
+    if (!HTML_TAGS[name] || (name === 'span' && !closing && getAttribute(attributes, 'class') !== 'tg-spoiler')) {
+      throw formatError(`Unsupported HTML tag <${closing}${rawName}>`);
+    }
+
+    if (!closing) {
+      const tag = { name, offset: text.length, attributes };
+      const parent = stack[stack.length - 1];
+
+      // <pre><code class="language-x"> is a single pre entity with a language
+      if (name === 'code' && parent && parent.name === 'pre') {
+        const language = (getAttribute(attributes, 'class') || '').replace(/^language-/, '');
+        parent.language = language;
+        tag.merged = true;
+      }
+
+      if (name === 'a' && !getAttribute(attributes, 'href')) {
+        throw formatError('<a> tag requires an href attribute');
+      }
+
+      stack.push(tag);
+      continue;
+    }
+
+    const tag = stack.pop();
+    if (!tag || tag.name !== name) {
+      throw formatError(`Unexpected closing tag </${rawName}>`);
+    }
+
+    if (tag.merged) {
+      continue;
+    }
+
+    const offset = tag.offset;
+    const length = text.length - offset;
+
+    if (name === 'a') {
+      entities.push(linkEntity(getAttribute(tag.attributes, 'href'), offset, length));
+    } else if (name === 'pre') {
+      entities.push({ _: 'messageEntityPre', offset, length, language: tag.language || '' });
+    } else {
+      entities.push({ _: HTML_TAGS[name], offset, length });
+    }
+  }
+
+  if (stack.length) {
+    throw formatError(`Unclosed HTML tag <${stack[stack.length - 1].name}>`);
+  }
+
+  text += input.slice(last);
+  return { text, entities };
+}
+
+// Telegram strips surrounding whitespace from messages, so entity offsets have to follow
+function trimMessage({ text, entities }) {
+  const leading = text.length - text.trimStart().length;
+  const trimmed = text.trim();
+
+  const shifted = entities
+    .map(entity => {
+      const start = Math.max(entity.offset - leading, 0);
+      const end = Math.min(entity.offset + entity.length - leading, trimmed.length);
+      return { ...entity, offset: start, length: end - start };
+    })
+    .filter(entity => entity.length > 0)
+    .sort((a, b) => a.offset - b.offset || b.length - a.length);
+
+  return { text: trimmed, entities: shifted };
+}
+
+// Returns { text, entities } ready for messages.sendMessage / sendMedia
+function parseMessage(input, parseMode) {
+  const message = String(input);
+
+  if (!parseMode) {
+    return { text: message, entities: [] };
+  }
+
+  const mode = String(parseMode).toLowerCase();
+  if (!PARSE_MODES.includes(mode)) {
+    throw formatError(`Unsupported parse_mode "${parseMode}". Use one of: ${PARSE_MODES.join(', ')}`);
+  }
+
+  return trimMessage(mode === 'html' ? parseHtml(message) : parseMarkdown(message));
+}
+
+module.exports = {
+  PARSE_MODES,
+  parseMessage,
+  parseMarkdown,
+  parseHtml
+};
@@ -0,0 +1,182 @@
+// lib/metrics.js
+// Prometheus metrics, served in text format by GET /metrics (METRICS_TOKEN bearer or an admin API key).
+//
+// Counters and histograms are updated where things happen (RPC calls, sends, webhook deliveries).
+// Gauges describing current state (auth, queue depth) are read from their source at scrape time,
+// once the server has handed those sources over with track().
+
+const client = require('prom-client');
+const { getFloodWaitSeconds } = require('./telegram-errors');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const sources = {
+  accounts: null,
+  jobQueue: null,
+  webhooks: null
+};
+
+const rpcDuration = new client.Histogram({
+  name: 'mtproto_rpc_duration_seconds',
+  help: 'MTProto RPC latency by method and outcome',
+  labelNames: ['account', 'method', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const rpcErrors = new client.Counter({
+  name: 'mtproto_rpc_errors_total',
+  help: 'Failed MTProto RPCs by method and error type',
+  labelNames: ['account', 'method', 'error'],
+  registers: [register]
+});
+
+const floodWaits = new client.Counter({
+  name: 'mtproto_flood_waits_total',
+  help: 'FLOOD_WAIT (and SLOWMODE_WAIT) errors returned by Telegram',
+  labelNames: ['account', 'method'],
+  registers: [register]
+});
+
+const floodWaitSeconds = new client.Counter({
+  name: 'mtproto_flood_wait_seconds_total',
+  help: 'Total seconds Telegram asked us to wait',
+  labelNames: ['account', 'method'],
+  registers: [register]
+});
+
+const dcMigrations = new client.Counter({
+  name: 'mtproto_dc_migrations_total',
+  help: 'Requests redirected to another data center (PHONE_, USER_, NETWORK_, FILE_MIGRATE_X)',
+  labelNames: ['account', 'type', 'dc'],
+  registers: [register]
+});
+
+const messagesSent = new client.Counter({
+  name: 'mtproto_messages_sent_total',
+  help: 'Messages sent',
+  labelNames: ['account', 'kind'],
+  registers: [register]
+});
+
+const messagesFailed = new client.Counter({
+  name: 'mtproto_messages_failed_total',
+  help: 'Message sends that failed, by error type',
+  labelNames: ['account', 'kind', 'error'],
+  registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'mtproto_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'mtproto_authenticated',
+  help: 'Whether the account has a signed-in session (1) or not (0)',
+  labelNames: ['account'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (sources.accounts) {
+      for (const account of sources.accounts.getStatus()) {
+        this.set({ account: account.id }, account.authenticated ? 1 : 0);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'mtproto_job_queue_depth',
+  help: 'Jobs in the outbound queue by status',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    if (sources.jobQueue) {
+      for (const [status, count] of Object.entries(sources.jobQueue.getDepth())) {
+        this.set({ status }, count);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'mtproto_webhook_pending',
+  help: 'Webhook deliveries waiting for their next attempt',
+  registers: [register],
+  collect() {
+    if (sources.webhooks) {
+      this.set(sources.webhooks.pending.size);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'mtproto_webhook_dead_letters',
+  help: 'Webhook deliveries that gave up and are waiting for a replay',
+  registers: [register],
+  collect() {
+    if (sources.webhooks) {
+      this.set(sources.webhooks.deadLetters.size);
+    }
+  }
+});
+
+// FLOOD_WAIT_30 -> FLOOD_WAIT_X, so the label stays low-cardinality
+function errorType(error) {
+  if (error && error.error_message) {
+    return error.error_message.replace(/_\d+$/, '_X');
+  }
+  if (error && error.type) {
+    return String(error.type).toUpperCase();
+  }
+  return error && error.status ? `HTTP_${error.status}` : 'UNKNOWN';
+}
+
+// Called by MTProtoService.call() for every RPC
+function observeRpc(account, method, startedAt, error) {
+  const seconds = (Date.now() - startedAt) / 1000;
+  rpcDuration.observe({ account, method, outcome: error ? 'error' : 'ok' }, seconds);
+
+  if (!error) {
+    return;
+  }
+
+  rpcErrors.inc({ account, method, error: errorType(error) });
+
+  const floodWait = getFloodWaitSeconds(error);
+  if (floodWait !== null) {
+    floodWaits.inc({ account, method });
+    floodWaitSeconds.inc({ account, method }, floodWait);
+  }
+
+  const migrate = error.error_message && error.error_message.match(/^(\w+)_MIGRATE_(\d+)$/);
+  if (migrate) {
+    dcMigrations.inc({ account, type: migrate[1].toLowerCase(), dc: migrate[2] });
+  }
+}
+
+function observeSend(account, kind, error) {
+  if (error) {
+    messagesFailed.inc({ account, kind, error: errorType(error) });
+  } else {
+    messagesSent.inc({ account, kind });
+  }
+}
+
+// { accounts?, jobQueue?, webhooks? }: where the state gauges read from
+function track(options) {
+  Object.assign(sources, options);
+}
+
+module.exports = {
+  register,
+  webhookDeliveries,
+  errorType,
+  observeRpc,
+  observeSend,
+  track
+};
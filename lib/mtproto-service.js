@@ -1,19 +1,58 @@
+const EventEmitter = require('events');
 const MTProto = require('@mtproto/core');
+const { createStore } = require('./storage');
+const { UPDATE_CONTAINERS, extractUpdateEvents } = require('./updates');
+const TargetResolver = require('./target-resolver');
+const { toInputChannel } = require('./target-resolver');
+const EntityCache = require('./entity-cache');
+const { recordFromEntity } = require('./entity-cache');
+const ChatAdmin = require('./chat-admin');
+const { loadMediaSource, uploadFile, detectMediaType, buildInputMedia, randomLong } = require('./media-uploader');
+const { fileError, describeMediaFile, buildFileLocation } = require('./media-downloader');
+const { toIsoDate, normalizePeer, buildEntityIndex, describePeer, normalizeUser, normalizeMessage, normalizeDialog, findTopMessage, extractEditedMessage, extractSentMessages } = require('./normalize');
+const { parseMessage } = require('./message-formatter');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
-class MTProtoService {
-  constructor() {
-    console.log('🔧 Initializing MTProto Service...');
+// Upper bound on getDialogs calls for one filtered /api/dialogs page
+const DIALOG_FILTER_MAX_PAGES = 5;
+
+// Search filter names accepted by the API -> MessagesFilter constructors
+const SEARCH_FILTERS = {
+  all: 'inputMessagesFilterEmpty',
+  photo: 'inputMessagesFilterPhotos',
+  video: 'inputMessagesFilterVideo',
+  photo_video: 'inputMessagesFilterPhotoVideo',
+  document: 'inputMessagesFilterDocument',
+  url: 'inputMessagesFilterUrl',
+  gif: 'inputMessagesFilterGif',
+  voice: 'inputMessagesFilterVoice',
+  music: 'inputMessagesFilterMusic',
+  round_video: 'inputMessagesFilterRoundVideo',
+  pinned: 'inputMessagesFilterPinned',
+  mentions: 'inputMessagesFilterMyMentions'
+};
+
+// Options: { accountId, phone, sessionStoreName, entityStoreName }. Without options the service
+// runs the single account configured through TELEGRAM_PHONE (see AccountRegistry).
+class MTProtoService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.accountId = options.accountId || 'default';
+    
+    logger.info(`🔧 Initializing MTProto Service (account ${this.accountId})...`);
     
     // Verify polyfills are available
-    console.log('🔍 Checking global.localStorage:', typeof global.localStorage);
-    console.log('🔍 Checking global.localStorage.get:', typeof global.localStorage?.get);
-    console.log('🔍 Checking global.sessionStorage:', typeof global.sessionStorage);
+    logger.debug('🔍 Checking global.localStorage:', typeof global.localStorage);
+    logger.debug('🔍 Checking global.localStorage.get:', typeof global.localStorage?.get);
+    logger.debug('🔍 Checking global.sessionStorage:', typeof global.sessionStorage);
     
     this.api_id = parseInt(process.env.TELEGRAM_API_ID);
     this.api_hash = process.env.TELEGRAM_API_HASH;
-    this.phone = process.env.TELEGRAM_PHONE;
+    this.phone = options.phone || process.env.TELEGRAM_PHONE;
     
-    console.log('📋 Environment check:', {
+    logger.info('📋 Environment check:', {
       api_id: this.api_id ? 'Set' : 'Missing',
       api_hash: this.api_hash ? 'Set' : 'Missing',
       phone: this.phone ? 'Set' : 'Missing'
@@ -32,13 +71,26 @@ class MTProtoService {
     this.systemVersion = this.getRandomOS();
     this.appVersion = this.getRandomAppVersion();
     
-    // Create in-memory storage for MTProto
-    this.inMemoryStorage = new Map();
+    // Persistent (encrypted) storage for the MTProto session
+    this.sessionStore = createStore(options.sessionStoreName || 'session');
+    
+    this.mtproto = this.createMTProtoInstance();
+    
+    this.isAuthenticated = false;
+    this.selfId = null;
+    this.lastActivity = Date.now();
+    this.entityCache = new EntityCache({ storeName: options.entityStoreName });
+    this.targetResolver = new TargetResolver(this);
+    this.chatAdmin = new ChatAdmin(this);
     
+    logger.info('🎉 MTProto Service initialized successfully');
+  }
+  
+  createMTProtoInstance() {
     try {
-      console.log('🚀 Creating MTProto instance...');
+      logger.info('🚀 Creating MTProto instance...');
       
-      this.mtproto = new MTProto({
+      const mtproto = new MTProto({
         api_id: this.api_id,
         api_hash: this.api_hash,
         
@@ -60,47 +112,112 @@ class MTProtoService {
         },
       });
       
-      console.log('✅ MTProto instance created successfully');
-      console.log('📱 Device:', this.deviceModel);
-      console.log('💾 App version:', this.appVersion);
+      logger.info('✅ MTProto instance created successfully');
+      logger.info('📱 Device:', this.deviceModel);
+      logger.info('💾 App version:', this.appVersion);
+      
+      this.attachUpdateHandlers(mtproto);
+      
+      return mtproto;
       
     } catch (error) {
-      console.error('❌ Failed to create MTProto instance:', error);
+      logger.error('❌ Failed to create MTProto instance:', error);
       throw new Error(`MTProto initialization failed: ${error.message}`);
     }
+  }
+  
+  // Every RPC goes through here so users/chats in the result land in the entity cache
+  // and latency / errors are recorded in the metrics
+  async call(method, params = {}, options = {}) {
+    const startedAt = Date.now();
+    let result;
     
-    this.isAuthenticated = false;
-    this.lastActivity = Date.now();
-    this.rateLimits = new Map();
+    try {
+      result = await this.mtproto.call(method, params, options);
+    } catch (error) {
+      metrics.observeRpc(this.accountId, method, startedAt, error);
+      throw error;
+    }
+    
+    metrics.observeRpc(this.accountId, method, startedAt, null);
+    
+    try {
+      this.entityCache.ingest(result);
+    } catch (error) {
+      logger.warn(`⚠️ Failed to cache entities from ${method}:`, error.message);
+    }
+    
+    return result;
+  }
+  
+  // Re-emit incoming updates as normalized 'update' events
+  attachUpdateHandlers(mtproto) {
+    for (const constructorName of UPDATE_CONTAINERS) {
+      mtproto.updates.on(constructorName, (container) => {
+        try {
+          this.entityCache.ingest(container);
+          
+          for (const event of extractUpdateEvents(container, this.accountId)) {
+            logger.info(`📨 Update received: ${event.type}`);
+            this.emit('update', event);
+          }
+        } catch (error) {
+          logger.error(`❌ Failed to process ${constructorName}:`, error);
+        }
+      });
+    }
+  }
+  
+  // Telegram only pushes updates to a session once it has asked for the update state
+  startUpdates() {
+    this.call('updates.getState')
+      .then(state => logger.info('📡 Update stream started at pts:', state.pts))
+      .catch(error => logger.warn('⚠️ Failed to start update stream:', error.error_message || error.message));
+  }
+  
+  // Close the sockets of every DC connection so a discarded instance stops reconnecting
+  disconnect() {
+    if (!this.mtproto) {
+      return;
+    }
+    
+    for (const rpc of this.mtproto.rpcs.values()) {
+      const socket = rpc.transport && rpc.transport.socket;
+      if (socket) {
+        socket.removeAllListeners('close');
+        socket.destroy();
+      }
+    }
     
-    console.log('🎉 MTProto Service initialized successfully');
+    this.mtproto.rpcs.clear();
   }
   
-  // Create custom storage implementation that doesn't rely on localStorage
+  // Create custom storage implementation that doesn't rely on localStorage.
+  // Backed by the persistent session store so the auth key survives restarts.
   createCustomStorage() {
-    const storage = this.inMemoryStorage;
+    const storage = this.sessionStore;
     
     return {
       get: (key) => {
-        console.log('🔍 Custom storage GET called with key:', key);
+        logger.debug('🔍 Custom storage GET called with key:', key);
         const value = storage.get(key);
-        console.log('🔍 Custom storage GET returning:', value ? 'data found' : 'null');
+        logger.debug('🔍 Custom storage GET returning:', value ? 'data found' : 'null');
         return value || null;
       },
       
       set: (key, value) => {
-        console.log('🔍 Custom storage SET called with key:', key);
+        logger.debug('🔍 Custom storage SET called with key:', key);
         storage.set(key, value);
         return value;
       },
       
       delete: (key) => {
-        console.log('🔍 Custom storage DELETE called with key:', key);
+        logger.debug('🔍 Custom storage DELETE called with key:', key);
         return storage.delete(key);
       },
       
       clear: () => {
-        console.log('🔍 Custom storage CLEAR called');
+        logger.debug('🔍 Custom storage CLEAR called');
         storage.clear();
       },
       
@@ -182,23 +299,6 @@ class MTProtoService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userLimits = this.rateLimits.get(userId) || [];
-    
-    // Clean old entries (older than 1 hour)
-    const recentRequests = userLimits.filter(time => now - time < 3600000);
-    
-    if (recentRequests.length >= 30) {
-      console.warn(`⚠️ Rate limit exceeded for user: ${userId}`);
-      return false;
-    }
-    
-    recentRequests.push(now);
-    this.rateLimits.set(userId, recentRequests);
-    return true;
-  }
-  
   async simulateTyping(peer, message) {
     try {
       // Calculate typing duration based on message length (human-like)
@@ -206,10 +306,10 @@ class MTProtoService {
       const variance = Math.random() * 1000; // Random variance
       const typingDuration = Math.min(Math.max(baseTypingTime + variance, 1000), 5000);
       
-      console.log(`💭 Simulating typing for ${typingDuration}ms...`);
+      logger.info(`💭 Simulating typing for ${typingDuration}ms...`);
       
       // Start typing indicator
-      await this.mtproto.call('messages.setTyping', {
+      await this.call('messages.setTyping', {
         peer: peer,
         action: { _: 'sendMessageTypingAction' }
       });
@@ -218,7 +318,7 @@ class MTProtoService {
       await this.sleep(typingDuration);
       
       // Cancel typing indicator
-      await this.mtproto.call('messages.setTyping', {
+      await this.call('messages.setTyping', {
         peer: peer,
         action: { _: 'sendMessageCancelAction' }
       });
@@ -227,33 +327,34 @@ class MTProtoService {
       await this.sleep(this.getRandomDelay(200, 800));
       
     } catch (error) {
-      console.warn('⚠️ Typing simulation failed:', error.message);
+      logger.warn('⚠️ Typing simulation failed:', error.message);
       // Don't throw error - typing simulation is optional
     }
   }
   
   async initialize() {
     try {
-      console.log('🔄 Checking authentication status...');
+      logger.info('🔄 Checking authentication status...');
       
-      const authResult = await this.mtproto.call('users.getFullUser', {
+      const authResult = await this.call('users.getFullUser', {
         id: { _: 'inputUserSelf' }
       });
       
       this.isAuthenticated = true;
-      console.log('✅ Already authenticated as:', authResult.users[0].first_name);
+      this.startUpdates();
+      logger.info('✅ Already authenticated as:', authResult.users[0].first_name);
       return authResult;
       
     } catch (error) {
-      console.log('🔐 Authentication check result:', error.error_message || error.message);
+      logger.info('🔐 Authentication check result:', error.error_message || error.message);
       
       if (error.error_message === 'AUTH_KEY_UNREGISTERED') {
-        console.log('🔐 Authentication required - need to sign in first');
+        logger.info('🔐 Authentication required - need to sign in first');
         this.isAuthenticated = false;
         throw new Error('Authentication required');
       }
       
-      console.error('❌ MTProto initialization failed:', error);
+      logger.error('❌ MTProto initialization failed:', error);
       throw error;
     }
   }
@@ -261,34 +362,34 @@ class MTProtoService {
   // Handle data center migration
   async handleMigration(error) {
     const errorMessage = error.error_message;
-    console.log('🔄 Handling migration error:', errorMessage);
+    logger.info('🔄 Handling migration error:', errorMessage);
     
     if (errorMessage && errorMessage.includes('PHONE_MIGRATE_')) {
       const dcId = parseInt(errorMessage.split('_')[2]);
-      console.log('🌐 Phone requires migration to DC:', dcId);
+      logger.info('🌐 Phone requires migration to DC:', dcId);
       
       try {
         // Switch to the correct data center
-        console.log('🔄 Switching to data center:', dcId);
+        logger.info('🔄 Switching to data center:', dcId);
         await this.mtproto.setDefaultDc(dcId);
-        console.log('✅ Successfully switched to DC:', dcId);
+        logger.info('✅ Successfully switched to DC:', dcId);
         return true;
       } catch (migrationError) {
-        console.error('❌ Migration failed:', migrationError);
+        logger.error('❌ Migration failed:', migrationError);
         throw new Error(`Failed to migrate to DC ${dcId}: ${migrationError.message}`);
       }
     }
     
     if (errorMessage && errorMessage.includes('USER_MIGRATE_')) {
       const dcId = parseInt(errorMessage.split('_')[2]);
-      console.log('🌐 User requires migration to DC:', dcId);
+      logger.info('🌐 User requires migration to DC:', dcId);
       
       try {
         await this.mtproto.setDefaultDc(dcId);
-        console.log('✅ Successfully migrated user to DC:', dcId);
+        logger.info('✅ Successfully migrated user to DC:', dcId);
         return true;
       } catch (migrationError) {
-        console.error('❌ User migration failed:', migrationError);
+        logger.error('❌ User migration failed:', migrationError);
         throw new Error(`Failed to migrate user to DC ${dcId}: ${migrationError.message}`);
       }
     }
@@ -298,24 +399,24 @@ class MTProtoService {
   
   async sendCode(phoneNumber) {
     try {
-      console.log('📱 Sending authentication code to:', phoneNumber);
-      console.log('🔍 MTProto instance available:', !!this.mtproto);
-      console.log('🔍 Storage available:', !!this.inMemoryStorage);
+      logger.info('📱 Sending authentication code', { phone: phoneNumber });
+      logger.debug('🔍 MTProto instance available:', !!this.mtproto);
+      logger.debug('🔍 Storage available:', !!this.sessionStore);
       
-      const result = await this.mtproto.call('auth.sendCode', {
+      const result = await this.call('auth.sendCode', {
         phone_number: phoneNumber,
         settings: {
           _: 'codeSettings',
         },
       });
       
-      console.log('✅ Code sent successfully');
-      console.log('🔍 Result keys:', Object.keys(result));
+      logger.info('✅ Code sent successfully');
+      logger.debug('🔍 Result keys:', Object.keys(result));
       return result;
       
     } catch (error) {
-      console.error('❌ Failed to send code:', error);
-      console.error('❌ Error details:', {
+      logger.error('❌ Failed to send code:', error);
+      logger.error('❌ Error details:', {
         message: error.message,
         error_message: error.error_message,
         error_code: error.error_code
@@ -325,26 +426,26 @@ class MTProtoService {
       if (error.error_code === 303 && error.error_message && 
           (error.error_message.includes('PHONE_MIGRATE_') || error.error_message.includes('USER_MIGRATE_'))) {
         
-        console.log('🔄 Detected migration required, attempting to handle...');
+        logger.info('🔄 Detected migration required, attempting to handle...');
         
         try {
           const migrated = await this.handleMigration(error);
           if (migrated) {
-            console.log('🔄 Migration successful, retrying sendCode...');
+            logger.info('🔄 Migration successful, retrying sendCode...');
             
             // Retry the sendCode after migration
-            const retryResult = await this.mtproto.call('auth.sendCode', {
+            const retryResult = await this.call('auth.sendCode', {
               phone_number: phoneNumber,
               settings: {
                 _: 'codeSettings',
               },
             });
             
-            console.log('✅ Code sent successfully after migration');
+            logger.info('✅ Code sent successfully after migration');
             return retryResult;
           }
         } catch (migrationError) {
-          console.error('❌ Migration handling failed:', migrationError);
+          logger.error('❌ Migration handling failed:', migrationError);
           throw new Error(`Migration failed: ${migrationError.message}`);
         }
       }
@@ -355,20 +456,21 @@ class MTProtoService {
   
   async signIn(phoneNumber, phoneCodeHash, phoneCode) {
     try {
-      console.log('🔐 Signing in with verification code...');
+      logger.info('🔐 Signing in with verification code...');
       
-      const result = await this.mtproto.call('auth.signIn', {
+      const result = await this.call('auth.signIn', {
         phone_number: phoneNumber,
         phone_code_hash: phoneCodeHash,
         phone_code: phoneCode,
       });
       
       this.isAuthenticated = true;
-      console.log('✅ Signed in successfully as:', result.user.first_name);
+      this.startUpdates();
+      logger.info('✅ Signed in successfully as:', result.user.first_name);
       return result;
       
     } catch (error) {
-      console.error('❌ Sign in failed:', error);
+      logger.error('❌ Sign in failed:', error);
       
       // Handle migration errors during sign in as well
       if (error.error_code === 303 && error.error_message && 
@@ -377,21 +479,22 @@ class MTProtoService {
         try {
           const migrated = await this.handleMigration(error);
           if (migrated) {
-            console.log('🔄 Migration successful, retrying signIn...');
+            logger.info('🔄 Migration successful, retrying signIn...');
             
             // Retry the signIn after migration
-            const retryResult = await this.mtproto.call('auth.signIn', {
+            const retryResult = await this.call('auth.signIn', {
               phone_number: phoneNumber,
               phone_code_hash: phoneCodeHash,
               phone_code: phoneCode,
             });
             
             this.isAuthenticated = true;
-            console.log('✅ Signed in successfully after migration');
+            this.startUpdates();
+            logger.info('✅ Signed in successfully after migration');
             return retryResult;
           }
         } catch (migrationError) {
-          console.error('❌ Sign in migration failed:', migrationError);
+          logger.error('❌ Sign in migration failed:', migrationError);
           throw new Error(`Sign in migration failed: ${migrationError.message}`);
         }
       }
@@ -400,12 +503,334 @@ class MTProtoService {
     }
   }
   
+  // Two-factor password state (hint and recovery options) for the current account
+  async getPasswordInfo() {
+    const passwordInfo = await this.call('account.getPassword');
+
+    return {
+      has_password: !!passwordInfo.has_password,
+      hint: passwordInfo.hint || null,
+      has_recovery: !!passwordInfo.has_recovery,
+      email_unconfirmed_pattern: passwordInfo.email_unconfirmed_pattern || null
+    };
+  }
+
+  // Compute the SRP proof for the cloud password and submit it
+  async submitPasswordCheck(password) {
+    const passwordInfo = await this.call('account.getPassword');
+
+    if (!passwordInfo.current_algo) {
+      throw new Error('Two-factor authentication is not enabled for this account');
+    }
+
+    const { srp_id, current_algo, srp_B } = passwordInfo;
+    const { g, p, salt1, salt2 } = current_algo;
+
+    const { A, M1 } = await this.mtproto.crypto.getSRPParams({
+      g,
+      p,
+      salt1,
+      salt2,
+      gB: srp_B,
+      password,
+    });
+
+    return this.call('auth.checkPassword', {
+      password: {
+        _: 'inputCheckPasswordSRP',
+        srp_id,
+        A,
+        M1,
+      },
+    });
+  }
+
+  async checkPassword(password) {
+    try {
+      logger.info('🔐 Checking two-factor password...');
+
+      const result = await this.submitPasswordCheck(password);
+
+      this.isAuthenticated = true;
+      this.startUpdates();
+      logger.info('✅ Password accepted, signed in as:', result.user.first_name);
+      return result;
+
+    } catch (error) {
+      logger.error('❌ Password check failed:', error);
+
+      // Handle migration errors during password check as well
+      if (error.error_code === 303 && error.error_message &&
+          (error.error_message.includes('PHONE_MIGRATE_') || error.error_message.includes('USER_MIGRATE_'))) {
+
+        try {
+          const migrated = await this.handleMigration(error);
+          if (migrated) {
+            logger.info('🔄 Migration successful, retrying checkPassword...');
+
+            // SRP parameters are bound to the DC, so recompute them after migration
+            const retryResult = await this.submitPasswordCheck(password);
+
+            this.isAuthenticated = true;
+            this.startUpdates();
+            logger.info('✅ Password accepted after migration');
+            return retryResult;
+          }
+        } catch (migrationError) {
+          logger.error('❌ Password check migration failed:', migrationError);
+          throw new Error(`Password check migration failed: ${migrationError.message}`);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  // QR-code login: export a token, render tg://login?token=... and poll until it is accepted
+  async exportLoginToken() {
+    try {
+      logger.info('📷 Exporting login token...');
+
+      const result = await this.call('auth.exportLoginToken', {
+        api_id: this.api_id,
+        api_hash: this.api_hash,
+        except_ids: [],
+      });
+
+      return await this.handleLoginTokenResult(result);
+
+    } catch (error) {
+      logger.error('❌ Failed to export login token:', error);
+      throw error;
+    }
+  }
+
+  async importLoginToken(token) {
+    const tokenBytes = typeof token === 'string' ? Buffer.from(token, 'base64url') : token;
+
+    try {
+      logger.info('📷 Importing login token...');
+
+      const result = await this.call('auth.importLoginToken', {
+        token: tokenBytes,
+      });
+
+      return await this.handleLoginTokenResult(result);
+
+    } catch (error) {
+      logger.error('❌ Failed to import login token:', error);
+
+      if (error.error_code === 303 && error.error_message &&
+          (error.error_message.includes('PHONE_MIGRATE_') || error.error_message.includes('USER_MIGRATE_'))) {
+
+        try {
+          const migrated = await this.handleMigration(error);
+          if (migrated) {
+            logger.info('🔄 Migration successful, retrying importLoginToken...');
+
+            const retryResult = await this.call('auth.importLoginToken', {
+              token: tokenBytes,
+            });
+
+            return await this.handleLoginTokenResult(retryResult);
+          }
+        } catch (migrationError) {
+          logger.error('❌ Login token migration failed:', migrationError);
+          throw new Error(`Login token migration failed: ${migrationError.message}`);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  async handleLoginTokenResult(result) {
+    switch (result._) {
+      case 'auth.loginToken': {
+        const token = Buffer.from(result.token).toString('base64url');
+
+        return {
+          status: 'pending',
+          token: token,
+          url: `tg://login?token=${token}`,
+          expires: result.expires,
+        };
+      }
+
+      case 'auth.loginTokenMigrateTo': {
+        logger.info('🌐 Login token must be imported on DC:', result.dc_id);
+
+        // The accepted token lives on another DC: switch to it like any USER_MIGRATE_X
+        await this.handleMigration({
+          error_code: 303,
+          error_message: `USER_MIGRATE_${result.dc_id}`,
+        });
+
+        return this.importLoginToken(result.token);
+      }
+
+      case 'auth.loginTokenSuccess': {
+        const user = result.authorization.user;
+
+        this.isAuthenticated = true;
+        this.startUpdates();
+        logger.info('✅ QR login successful as:', user?.first_name);
+
+        // mtproto.call() only copies auth.authorization results to other DCs
+        const dcId = (await this.mtproto.storage.get('defaultDcId')) || 2;
+        await this.mtproto.syncAuth(dcId);
+
+        return {
+          status: 'success',
+          user: user,
+        };
+      }
+
+      default:
+        throw new Error(`Unexpected login token result: ${result._}`);
+    }
+  }
+
+  // Active sessions of this account (including the service's own)
+  async getAuthorizations() {
+    try {
+      logger.info('📋 Fetching active authorizations...');
+
+      const result = await this.call('account.getAuthorizations');
+
+      logger.info(`✅ Retrieved ${result.authorizations.length} authorizations`);
+      return result.authorizations.map(authorization => ({
+        hash: authorization.hash,
+        current: !!authorization.current,
+        official_app: !!authorization.official_app,
+        password_pending: !!authorization.password_pending,
+        device_model: authorization.device_model,
+        platform: authorization.platform,
+        system_version: authorization.system_version,
+        app_name: authorization.app_name,
+        app_version: authorization.app_version,
+        ip: authorization.ip,
+        country: authorization.country,
+        region: authorization.region,
+        created_at: new Date(authorization.date_created * 1000).toISOString(),
+        active_at: new Date(authorization.date_active * 1000).toISOString()
+      }));
+
+    } catch (error) {
+      logger.error('❌ Failed to get authorizations:', error);
+      throw error;
+    }
+  }
+
+  async resetAuthorization(hash) {
+    try {
+      logger.info('🚫 Terminating authorization', { hash });
+
+      const result = await this.call('account.resetAuthorization', {
+        hash: hash
+      });
+
+      logger.info('✅ Authorization terminated');
+      return result;
+
+    } catch (error) {
+      logger.error('❌ Failed to terminate authorization:', error);
+      throw error;
+    }
+  }
+
+  // Terminate every session except the service's own
+  async resetOtherAuthorizations() {
+    try {
+      logger.info('🚫 Terminating all other authorizations...');
+
+      const result = await this.call('auth.resetAuthorizations');
+
+      logger.info('✅ All other authorizations terminated');
+      return result;
+
+    } catch (error) {
+      logger.error('❌ Failed to terminate other authorizations:', error);
+      throw error;
+    }
+  }
+
+  async logOut() {
+    try {
+      logger.info('🚪 Logging out...');
+
+      await this.call('auth.logOut');
+      logger.info('✅ Logged out from Telegram');
+
+    } catch (error) {
+      // The key is already dead on Telegram's side; local state still has to go
+      if (error.error_message !== 'AUTH_KEY_UNREGISTERED') {
+        logger.error('❌ Log out failed:', error);
+        throw error;
+      }
+
+      logger.info('🔐 Session was already unregistered, wiping local state');
+    }
+
+    this.resetSession();
+  }
+
+  // Wipe the persisted session and start over with a fresh, unauthenticated connection
+  resetSession() {
+    logger.info('🧹 Resetting MTProto session...');
+
+    this.disconnect();
+
+    this.sessionStore.clear();
+    this.sessionStore.flush();
+    
+    // access_hash values are only valid for the account that received them
+    this.entityCache.clear();
+
+    this.isAuthenticated = false;
+    this.selfId = null;
+    this.mtproto = this.createMTProtoInstance();
+
+    logger.info('✅ Session reset');
+  }
+
+  async resolveTarget(target, options = {}) {
+    const resolved = await this.targetResolver.resolve(target, options);
+    logger.info(`✅ Target resolved: ${resolved.type} ${resolved.username ? '@' + resolved.username : resolved.id}${resolved.cached ? ' (cache)' : ''}`);
+    return resolved;
+  }
+  
+  // Run `action(resolved)` against a target. If Telegram rejects a peer that came from the
+  // entity cache, the cache entry is dropped and the action is retried once with a fresh lookup.
+  async withResolvedTarget(target, action) {
+    const resolved = await this.resolveTarget(target);
+    
+    try {
+      return await action(resolved);
+    } catch (error) {
+      const stalePeerErrors = ['PEER_ID_INVALID', 'USER_ID_INVALID', 'CHANNEL_INVALID', 'CHAT_ID_INVALID', 'USERNAME_NOT_OCCUPIED'];
+      
+      if (!stalePeerErrors.includes(error.error_message)) {
+        throw error;
+      }
+      
+      this.targetResolver.invalidate(resolved, target);
+      
+      if (!resolved.cached) {
+        throw error;
+      }
+      
+      logger.info(`🔄 Cached peer rejected (${error.error_message}), resolving again...`);
+      return action(await this.resolveTarget(target, { skipCache: true }));
+    }
+  }
+  
   async resolveUsername(username) {
     try {
       const cleanUsername = username.replace('@', '');
-      console.log(`🔍 Resolving username: @${cleanUsername}`);
+      logger.info(`🔍 Resolving username: @${cleanUsername}`);
       
-      const result = await this.mtproto.call('contacts.resolveUsername', {
+      const result = await this.call('contacts.resolveUsername', {
         username: cleanUsername
       });
       
@@ -413,112 +838,861 @@ class MTProtoService {
         throw new Error(`User @${cleanUsername} not found`);
       }
       
-      console.log('✅ User resolved:', result.users[0].first_name || `@${cleanUsername}`);
+      logger.info('✅ User resolved:', result.users[0].first_name || `@${cleanUsername}`);
       return result.users[0];
       
     } catch (error) {
-      console.error(`❌ Failed to resolve username ${username}:`, error);
+      logger.error(`❌ Failed to resolve username ${username}:`, error);
       throw error;
     }
   }
   
-  async sendMessage(target, message, options = {}) {
-    try {
-      // Check rate limiting first
-      const cleanTarget = target.replace('@', '');
-      if (!this.checkRateLimit(cleanTarget)) {
-        throw new Error('Rate limit exceeded. Max 30 messages per hour per recipient.');
+  // InputUser for a user target (groups and channels are rejected)
+  async resolveInputUser(target) {
+    const resolved = await this.resolveTarget(target);
+    
+    if (resolved.id === 'self') {
+      return { _: 'inputUserSelf' };
+    }
+    if (resolved.type !== 'user') {
+      const error = new Error(`${target} is not a user`);
+      error.status = 400;
+      throw error;
+    }
+    
+    return { _: 'inputUser', user_id: resolved.id, access_hash: resolved.access_hash };
+  }
+  
+  async resolveInputUsers(targets) {
+    const users = [];
+    for (const target of targets) {
+      users.push(await this.resolveInputUser(target));
+    }
+    return users;
+  }
+  
+  // tg://user?id= links carry a bare user id; Telegram needs an InputUser with its access_hash
+  async resolveMentionEntities(entities) {
+    const resolvedEntities = [];
+    
+    for (const entity of entities) {
+      if (entity._ !== 'inputMessageEntityMentionName') {
+        resolvedEntities.push(entity);
+        continue;
       }
       
-      console.log(`📤 Preparing to send message to: ${target}`);
-      console.log(`📝 Message: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
-      
-      // Resolve target user
-      const user = await this.resolveUsername(target);
-      
-      const peer = {
-        _: 'inputPeerUser',
-        user_id: user.id,
-        access_hash: user.access_hash,
-      };
-      
-      // Anti-detection: Simulate human behavior
-      if (options.simulateTyping !== false) {
-        await this.simulateTyping(peer, message);
+      const user = await this.resolveTarget(entity.user_id).catch(() => null);
+      if (!user || user.type !== 'user') {
+        const error = new Error(`Cannot mention user ${entity.user_id}: not found in cache or dialogs`);
+        error.status = 400;
+        throw error;
       }
       
-      // Anti-detection: Random pre-send delay
-      const preSendDelay = this.getRandomDelay(300, 1500);
-      console.log(`⏳ Pre-send delay: ${preSendDelay}ms`);
-      await this.sleep(preSendDelay);
+      resolvedEntities.push({
+        ...entity,
+        user_id: { _: 'inputUser', user_id: user.id, access_hash: user.access_hash }
+      });
+    }
+    
+    return resolvedEntities;
+  }
+  
+  async sendMessage(target, message, options = {}) {
+    try {
+      logger.info(`📤 Preparing to send message to: ${target}`);
+      logger.info(`📝 Message: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
+      
+      // Markdown / HTML become plain text plus entities
+      const formatted = parseMessage(message, options.parseMode);
+      const entities = await this.resolveMentionEntities(formatted.entities);
       
-      // Send the message
-      const result = await this.mtproto.call('messages.sendMessage', {
-        peer: peer,
-        message: message,
-        random_id: BigInt(Math.floor(Math.random() * 0xFFFFFFFF)),
+      // Resolve target (username, phone, id, t.me link, group or channel),
+      // preferring the entity cache over contacts.resolveUsername
+      const result = await this.withResolvedTarget(target, async (resolved) => {
+        const peer = resolved.peer;
+        
+        // Anti-detection: Simulate human behavior (pointless for a message that goes out later)
+        if (options.simulateTyping !== false && !options.scheduleDate) {
+          await this.simulateTyping(peer, formatted.text);
+        }
+        
+        // Anti-detection: Random pre-send delay
+        const preSendDelay = this.getRandomDelay(300, 1500);
+        logger.info(`⏳ Pre-send delay: ${preSendDelay}ms`);
+        await this.sleep(preSendDelay);
+        
+        // Send the message
+        return this.call('messages.sendMessage', {
+          peer: peer,
+          message: formatted.text,
+          entities: entities,
+          reply_to_msg_id: options.replyToMessageId,
+          top_msg_id: options.topMessageId,
+          // Telegram delivers the message itself at this unix time
+          schedule_date: options.scheduleDate,
+          // Deterministic when derived from an Idempotency-Key, so Telegram drops duplicates
+          random_id: options.randomId || randomLong(),
         
-        // Anti-detection: Random message attributes
-        no_webpage: Math.random() > 0.8, // Sometimes prevent link previews
-        silent: Math.random() > 0.95,    // Rarely send silent messages
+          // Anti-detection: Random message attributes
+          no_webpage: Math.random() > 0.8, // Sometimes prevent link previews
+          silent: Math.random() > 0.95,    // Rarely send silent messages
+        });
       });
       
-      console.log('✅ Message sent successfully, ID:', result.id);
+      logger.info('✅ Message sent successfully, ID:', result.id);
       
       // Anti-detection: Random post-send delay
       const postSendDelay = this.getRandomDelay(1000, 3000);
-      console.log(`⏳ Post-send delay: ${postSendDelay}ms`);
+      logger.info(`⏳ Post-send delay: ${postSendDelay}ms`);
       await this.sleep(postSendDelay);
       
       // Update last activity
       this.lastActivity = Date.now();
+      metrics.observeSend(this.accountId, 'text');
       
       return result;
       
     } catch (error) {
-      console.error('❌ Failed to send message:', error);
+      logger.error('❌ Failed to send message:', error);
+      metrics.observeSend(this.accountId, 'text', error);
       throw error;
     }
   }
   
-  async getDialogs(limit = 50) {
+  // media: { type?, url?, base64?, file_name?, mime_type?, duration?, width?, height?, title?, performer? }
+  async sendMedia(target, media, options = {}) {
     try {
-      console.log('📋 Fetching dialogs...');
+      logger.info(`📤 Preparing to send media to: ${target}`);
       
-      const result = await this.mtproto.call('messages.getDialogs', {
-        offset_date: 0,
-        offset_id: 0,
-        offset_peer: { _: 'inputPeerEmpty' },
-        limit: limit,
-        hash: 0,
+      const caption = parseMessage(options.caption || '', options.parseMode);
+      const entities = await this.resolveMentionEntities(caption.entities);
+      
+      // Upload once; the uploaded file can be reused if the peer has to be resolved again
+      const source = await loadMediaSource(media);
+      const type = media.type || detectMediaType(source.mimeType);
+      const file = await uploadFile(this, source.buffer, source.fileName);
+      const inputMedia = buildInputMedia(type, file, source, media);
+      
+      const result = await this.withResolvedTarget(target, async (resolved) => {
+        const preSendDelay = this.getRandomDelay(300, 1500);
+        logger.info(`⏳ Pre-send delay: ${preSendDelay}ms`);
+        await this.sleep(preSendDelay);
+        
+        return this.call('messages.sendMedia', {
+          peer: resolved.peer,
+          media: inputMedia,
+          message: caption.text,
+          entities: entities,
+          reply_to_msg_id: options.replyToMessageId,
+          top_msg_id: options.topMessageId,
+          schedule_date: options.scheduleDate,
+          random_id: options.randomId || randomLong(),
+        });
       });
       
-      console.log(`✅ Retrieved ${result.dialogs.length} dialogs`);
+      logger.info(`✅ ${type} sent successfully`);
+      
+      this.lastActivity = Date.now();
+      metrics.observeSend(this.accountId, 'media');
       return result;
+    
+    } catch (error) {
+      logger.error('❌ Failed to send media:', error);
+      metrics.observeSend(this.accountId, 'media', error);
+      throw error;
+    }
+  }
+  
+  async editMessage(target, messageId, text, options = {}) {
+    try {
+      logger.info(`✏️ Editing message ${messageId} in: ${target}`);
+      
+      const formatted = parseMessage(text, options.parseMode);
+      const entities = await this.resolveMentionEntities(formatted.entities);
+      
+      const result = await this.withResolvedTarget(target, (resolved) => this.call('messages.editMessage', {
+        peer: resolved.peer,
+        id: parseInt(messageId),
+        message: formatted.text,
+        entities: entities
+      }));
+      
+      logger.info('✅ Message edited');
+      return extractEditedMessage(result, this.accountId);
       
     } catch (error) {
-      console.error('❌ Failed to get dialogs:', error);
+      logger.error('❌ Failed to edit message:', error);
       throw error;
     }
   }
   
-  getStatus() {
+  // Options: { revoke } deletes for everyone in private chats and basic groups (always the case in channels)
+  async deleteMessages(target, messageIds, options = {}) {
     try {
-      return {
-        authenticated: this.isAuthenticated,
-        last_activity: new Date(this.lastActivity).toISOString(),
-        device_model: this.deviceModel || 'Unknown',
-        app_version: this.appVersion || 'Unknown',
-        system_version: this.systemVersion || 'Unknown',
+      logger.info(`🗑️ Deleting ${messageIds.length} message(s) in: ${target}`);
+      
+      const { ids, result } = await this.withResolvedTarget(target, async (resolved) => {
+        const messages = await this.getChatMessages(resolved, messageIds);
+        const ids = messages.map(message => message.id);
+        
+        if (ids.length === 0) {
+          return { ids, result: null };
+        }
+        
+        const result = resolved.type === 'channel'
+          ? await this.call('channels.deleteMessages', { channel: toInputChannel(resolved), id: ids })
+          : await this.call('messages.deleteMessages', { revoke: !!options.revoke, id: ids });
+        
+        return { ids, result };
+      });
+      
+      logger.info(`✅ Deleted ${ids.length} message(s)`);
+      return {
+        deleted: ids,
+        not_found: messageIds.filter(id => !ids.includes(id)),
+        pts_count: result ? result.pts_count : 0
+      };
+      
+    } catch (error) {
+      logger.error('❌ Failed to delete messages:', error);
+      throw error;
+    }
+  }
+  
+  // Options: { silent, dropAuthor, randomIds } (randomIds: one per message, for idempotent retries)
+  async forwardMessages(fromTarget, messageIds, toTarget, options = {}) {
+    try {
+      logger.info(`↪️ Forwarding ${messageIds.length} message(s) from ${fromTarget} to ${toTarget}`);
+      
+      const result = await this.withResolvedTarget(fromTarget, (from) =>
+        this.withResolvedTarget(toTarget, (to) => this.call('messages.forwardMessages', {
+          from_peer: from.peer,
+          to_peer: to.peer,
+          id: messageIds,
+          random_id: messageIds.map((id, i) => (options.randomIds && options.randomIds[i]) || randomLong()),
+          silent: !!options.silent,
+          drop_author: !!options.dropAuthor
+        })));
+      
+      const forwarded = extractSentMessages(result);
+      
+      logger.info(`✅ Forwarded ${forwarded.length} message(s)`);
+      this.lastActivity = Date.now();
+      metrics.observeSend(this.accountId, 'forward');
+      return forwarded;
+      
+    } catch (error) {
+      logger.error('❌ Failed to forward messages:', error);
+      metrics.observeSend(this.accountId, 'forward', error);
+      throw error;
+    }
+  }
+  
+  // Options: { unpin, silent, pmOneside } (pmOneside pins only for this account in private chats)
+  async pinMessage(target, messageId, options = {}) {
+    try {
+      logger.info(`📌 ${options.unpin ? 'Unpinning' : 'Pinning'} message ${messageId} in: ${target}`);
+      
+      await this.withResolvedTarget(target, (resolved) => this.call('messages.updatePinnedMessage', {
+        peer: resolved.peer,
+        id: parseInt(messageId),
+        unpin: !!options.unpin,
+        silent: !!options.silent,
+        pm_oneside: !!options.pmOneside
+      }));
+      
+      logger.info(`✅ Message ${options.unpin ? 'unpinned' : 'pinned'}`);
+      return true;
+      
+    } catch (error) {
+      logger.error('❌ Failed to update pinned message:', error);
+      throw error;
+    }
+  }
+  
+  async getScheduledMessages(target) {
+    try {
+      logger.info(`🗓️ Fetching scheduled messages for: ${target}`);
+      
+      const result = await this.withResolvedTarget(target, (resolved) => this.call('messages.getScheduledHistory', {
+        peer: resolved.peer,
+        hash: 0
+      }));
+      
+      const index = buildEntityIndex(result, this.accountId);
+      const messages = (result.messages || [])
+        .filter(message => message._ !== 'messageEmpty')
+        .map(message => normalizeMessage(message, index));
+      
+      logger.info(`✅ Retrieved ${messages.length} scheduled messages`);
+      return messages;
+      
+    } catch (error) {
+      logger.error('❌ Failed to get scheduled messages:', error);
+      throw error;
+    }
+  }
+  
+  async sendScheduledMessages(target, messageIds) {
+    try {
+      logger.info(`🚀 Sending ${messageIds.length} scheduled message(s) now in: ${target}`);
+      
+      const result = await this.withResolvedTarget(target, (resolved) => this.call('messages.sendScheduledMessages', {
+        peer: resolved.peer,
+        id: messageIds
+      }));
+      
+      const sent = extractSentMessages(result);
+      logger.info(`✅ Sent ${sent.length} scheduled message(s)`);
+      this.lastActivity = Date.now();
+      return sent;
+      
+    } catch (error) {
+      logger.error('❌ Failed to send scheduled messages:', error);
+      throw error;
+    }
+  }
+  
+  async deleteScheduledMessages(target, messageIds) {
+    try {
+      logger.info(`🗑️ Cancelling ${messageIds.length} scheduled message(s) in: ${target}`);
+      
+      await this.withResolvedTarget(target, (resolved) => this.call('messages.deleteScheduledMessages', {
+        peer: resolved.peer,
+        id: messageIds
+      }));
+      
+      logger.info('✅ Scheduled message(s) cancelled');
+      return true;
+      
+    } catch (error) {
+      logger.error('❌ Failed to delete scheduled messages:', error);
+      throw error;
+    }
+  }
+  
+  // Mark everything up to maxId (0 = the whole chat) as read
+  async markAsRead(target, maxId = 0) {
+    try {
+      logger.info(`👁️ Marking ${target} as read${maxId ? ` up to ${maxId}` : ''}`);
+      
+      await this.withResolvedTarget(target, (resolved) => resolved.type === 'channel'
+        ? this.call('channels.readHistory', { channel: toInputChannel(resolved), max_id: maxId })
+        : this.call('messages.readHistory', { peer: resolved.peer, max_id: maxId }));
+      
+      logger.info('✅ Marked as read');
+      this.lastActivity = Date.now();
+      return true;
+      
+    } catch (error) {
+      logger.error('❌ Failed to mark as read:', error);
+      throw error;
+    }
+  }
+  
+  // An empty `emoticons` list removes this account's reaction
+  async sendReaction(target, messageId, emoticons, options = {}) {
+    try {
+      logger.info(`💬 Reacting to message ${messageId} in ${target}: ${emoticons.join(' ') || '(remove)'}`);
+      
+      await this.withResolvedTarget(target, (resolved) => this.call('messages.sendReaction', {
+        peer: resolved.peer,
+        msg_id: parseInt(messageId),
+        reaction: emoticons.map(emoticon => ({ _: 'reactionEmoji', emoticon: emoticon })),
+        big: !!options.big
+      }));
+      
+      logger.info('✅ Reaction updated');
+      this.lastActivity = Date.now();
+      return true;
+      
+    } catch (error) {
+      logger.error('❌ Failed to send reaction:', error);
+      throw error;
+    }
+  }
+  
+  // Read counters of a single dialog (read_outbox_max_id tells how far the other side has read)
+  async getReadState(target) {
+    try {
+      const result = await this.withResolvedTarget(target, (resolved) => this.call('messages.getPeerDialogs', {
+        peers: [{ _: 'inputDialogPeer', peer: resolved.peer }]
+      }));
+      
+      const dialog = result.dialogs[0];
+      if (!dialog) {
+        const error = new Error('No dialog with this chat');
+        error.status = 404;
+        throw error;
+      }
+      
+      return normalizeDialog(dialog, buildEntityIndex(result, this.accountId), result.messages);
+      
+    } catch (error) {
+      logger.error('❌ Failed to get read state:', error);
+      throw error;
+    }
+  }
+  
+  async getContacts() {
+    try {
+      logger.info('📇 Fetching contacts...');
+      
+      const result = await this.call('contacts.getContacts', { hash: 0 });
+      const index = buildEntityIndex(result, this.accountId);
+      
+      const contacts = (result.contacts || []).map(contact => {
+        const user = index.users.get(String(contact.user_id));
+        return {
+          ...(user ? normalizeUser(user) : { type: 'user', id: String(contact.user_id) }),
+          mutual_contact: !!contact.mutual
+        };
+      });
+      
+      logger.info(`✅ Found ${contacts.length} contacts`);
+      return { contacts: contacts, saved_count: result.saved_count || 0 };
+      
+    } catch (error) {
+      logger.error('❌ Failed to get contacts:', error);
+      throw error;
+    }
+  }
+  
+  // entries: [{ phone, first_name, last_name }]. Returns one result per entry, in order:
+  // imported (with the user), retry (Telegram throttled this entry) or not_found.
+  async importContacts(entries) {
+    try {
+      logger.info(`📇 Importing ${entries.length} contact(s)...`);
+      
+      // client_id is the entry's position, so results can be matched back to the request
+      const result = await this.call('contacts.importContacts', {
+        contacts: entries.map((entry, position) => ({
+          _: 'inputPhoneContact',
+          client_id: position,
+          phone: entry.phone,
+          first_name: entry.first_name,
+          last_name: entry.last_name || ''
+        }))
+      });
+      
+      const index = buildEntityIndex(result, this.accountId);
+      const imported = new Map((result.imported || []).map(item => [String(item.client_id), String(item.user_id)]));
+      const retry = new Set((result.retry_contacts || []).map(String));
+      
+      const results = entries.map((entry, position) => {
+        const userId = imported.get(String(position));
+        if (!userId) {
+          return { phone: entry.phone, status: retry.has(String(position)) ? 'retry' : 'not_found', user: null };
+        }
+        
+        const user = index.users.get(userId);
+        if (user) {
+          // Index the number we imported under, even if the user hides their phone
+          this.entityCache.put({ ...recordFromEntity(user), phone: user.phone || entry.phone });
+        }
+        
+        return {
+          phone: entry.phone,
+          status: 'imported',
+          user: user ? normalizeUser(user) : { type: 'user', id: userId }
+        };
+      });
+      
+      logger.info(`✅ Imported ${imported.size}/${entries.length} contact(s)`);
+      this.lastActivity = Date.now();
+      return results;
+      
+    } catch (error) {
+      logger.error('❌ Failed to import contacts:', error);
+      throw error;
+    }
+  }
+  
+  async deleteContacts(targets) {
+    try {
+      const users = await this.resolveInputUsers(targets);
+      
+      logger.info(`📇 Deleting ${users.length} contact(s)...`);
+      await this.call('contacts.deleteContacts', { id: users });
+      
+      logger.info('✅ Contacts deleted');
+      this.lastActivity = Date.now();
+      return users.length;
+      
+    } catch (error) {
+      logger.error('❌ Failed to delete contacts:', error);
+      throw error;
+    }
+  }
+  
+  async setBlocked(target, blocked) {
+    try {
+      logger.info(`${blocked ? '🚫 Blocking' : '✅ Unblocking'} ${target}`);
+      
+      await this.withResolvedTarget(target, (resolved) => {
+        if (resolved.type !== 'user') {
+          const error = new Error(`${target} is not a user`);
+          error.status = 400;
+          throw error;
+        }
+        return this.call(blocked ? 'contacts.block' : 'contacts.unblock', { id: resolved.peer });
+      });
+      
+      this.lastActivity = Date.now();
+      return true;
+      
+    } catch (error) {
+      logger.error(`❌ Failed to ${blocked ? 'block' : 'unblock'} ${target}:`, error);
+      throw error;
+    }
+  }
+  
+  async getBlocked(options = {}) {
+    try {
+      const result = await this.call('contacts.getBlocked', {
+        offset: options.offset || 0,
+        limit: options.limit || 100
+      });
+      
+      const index = buildEntityIndex(result, this.accountId);
+      const blocked = (result.blocked || []).map(entry => ({
+        ...describePeer(normalizePeer(entry.peer_id), index),
+        blocked_at: toIsoDate(entry.date)
+      }));
+      
+      // contacts.blocked (unlike contacts.blockedSlice) is the complete list and has no count
+      return { total: result.count !== undefined ? result.count : blocked.length, blocked: blocked };
+      
+    } catch (error) {
+      logger.error('❌ Failed to get blocked users:', error);
+      throw error;
+    }
+  }
+  
+  // One raw page of messages.getDialogs. Options: { limit, offsetDate, offsetId, offsetPeer, folderId }
+  async getDialogs(options = {}) {
+    try {
+      logger.info('📋 Fetching dialogs...');
+      
+      const params = {
+        offset_date: options.offsetDate || 0,
+        offset_id: options.offsetId || 0,
+        offset_peer: options.offsetPeer || { _: 'inputPeerEmpty' },
+        limit: options.limit || 50,
+        hash: 0,
+      };
+      
+      // 0 = main list, 1 = archive; omitted = both
+      if (options.folderId !== undefined) {
+        params.folder_id = options.folderId;
+      }
+      
+      const result = await this.call('messages.getDialogs', params);
+      
+      logger.info(`✅ Retrieved ${result.dialogs.length} dialogs`);
+      return result;
+      
+    } catch (error) {
+      logger.error('❌ Failed to get dialogs:', error);
+      throw error;
+    }
+  }
+  
+  // Normalized, filtered dialogs plus the offset to continue from (null at the end of the list).
+  // Options: { limit, offset: { date, id, peer }, folderId, filter(dialog) }
+  async listDialogs(options = {}) {
+    const limit = options.limit || 50;
+    const filter = options.filter || (() => true);
+    const dialogs = [];
+    let offset = options.offset || null;
+    let total = null;
+    
+    // Filters are applied locally, so keep reading pages until enough dialogs matched
+    for (let page = 0; page < DIALOG_FILTER_MAX_PAGES; page++) {
+      const pageSize = options.filter ? 100 : limit - dialogs.length;
+      const result = await this.getDialogs({
+        limit: pageSize,
+        offsetDate: offset ? offset.date : 0,
+        offsetId: offset ? offset.id : 0,
+        offsetPeer: offset ? offset.peer : null,
+        folderId: options.folderId
+      });
+      
+      const index = buildEntityIndex(result, this.accountId);
+      total = result.count !== undefined ? result.count : result.dialogs.length;
+      
+      for (const dialog of result.dialogs) {
+        const topMessage = findTopMessage(dialog, result.messages);
+        const peer = this.targetResolver.inputPeerFromPeer(dialog.peer, result);
+        
+        // Folder entries (the archive shown inside the main list) and dialogs we cannot page past are skipped
+        if (dialog._ !== 'dialog' || !topMessage || !peer) {
+          continue;
+        }
+        
+        offset = { date: topMessage.date, id: topMessage.id, peer: peer };
+        
+        const normalized = normalizeDialog(dialog, index, result.messages);
+        if (filter(normalized)) {
+          dialogs.push(normalized);
+          if (dialogs.length >= limit) {
+            return { total, dialogs, next_offset: offset };
+          }
+        }
+      }
+      
+      if (result._ !== 'messages.dialogsSlice' || result.dialogs.length < pageSize) {
+        return { total, dialogs, next_offset: null };
+      }
+    }
+    
+    return { total, dialogs, next_offset: offset };
+  }
+  
+  // One page of history, newest first. Options: { offsetId, minId, maxId, limit }
+  async getHistory(target, options = {}) {
+    try {
+      logger.info(`📜 Fetching history for: ${target}`);
+      
+      const result = await this.withResolvedTarget(target, (resolved) => this.call('messages.getHistory', {
+        peer: resolved.peer,
+        offset_id: options.offsetId || 0,
+        offset_date: 0,
+        add_offset: 0,
+        limit: options.limit || 50,
+        max_id: options.maxId || 0,
+        min_id: options.minId || 0,
+        hash: 0
+      }));
+      
+      const index = buildEntityIndex(result, this.accountId);
+      const messages = result.messages
+        .filter(message => message._ !== 'messageEmpty')
+        .map(message => normalizeMessage(message, index));
+      
+      logger.info(`✅ Retrieved ${messages.length} messages`);
+      return {
+        // messages.messages (small chats) has no count field: it already holds everything
+        count: result.count !== undefined ? result.count : messages.length,
+        page_size: result.messages.length,
+        messages: messages
+      };
+      
+    } catch (error) {
+      logger.error('❌ Failed to get history:', error);
+      throw error;
+    }
+  }
+  
+  // Search within one chat, newest first. Options: { query, filter, from, minDate, maxDate, offsetId, limit }
+  async searchMessages(target, options = {}) {
+    try {
+      logger.info(`🔎 Searching ${target}${options.query ? ` for "${options.query}"` : ''}`);
+      
+      const from = options.from ? await this.resolveTarget(options.from) : null;
+      
+      const result = await this.withResolvedTarget(target, (resolved) => this.call('messages.search', {
+        peer: resolved.peer,
+        q: options.query || '',
+        from_id: from ? from.peer : undefined,
+        filter: { _: SEARCH_FILTERS[options.filter || 'all'] },
+        min_date: options.minDate || 0,
+        max_date: options.maxDate || 0,
+        offset_id: options.offsetId || 0,
+        add_offset: 0,
+        limit: options.limit || 50,
+        max_id: 0,
+        min_id: 0,
+        hash: 0
+      }));
+      
+      const index = buildEntityIndex(result, this.accountId);
+      const messages = result.messages
+        .filter(message => message._ !== 'messageEmpty')
+        .map(message => normalizeMessage(message, index));
+      
+      logger.info(`✅ Found ${messages.length} messages`);
+      return {
+        count: result.count !== undefined ? result.count : messages.length,
+        page_size: result.messages.length,
+        messages: messages
+      };
+      
+    } catch (error) {
+      logger.error('❌ Failed to search messages:', error);
+      throw error;
+    }
+  }
+  
+  // Search across all chats. Results are ordered by Telegram's "rate", so the next page starts
+  // from { rate, peer, id } of the last result. Options: { query, filter, minDate, maxDate, offset, limit }
+  async searchGlobal(options = {}) {
+    try {
+      logger.info(`🔎 Searching all chats for "${options.query || ''}"`);
+      
+      const limit = options.limit || 50;
+      const offset = options.offset || null;
+      
+      const result = await this.call('messages.searchGlobal', {
+        q: options.query || '',
+        filter: { _: SEARCH_FILTERS[options.filter || 'all'] },
+        min_date: options.minDate || 0,
+        max_date: options.maxDate || 0,
+        offset_rate: offset ? offset.rate : 0,
+        offset_peer: offset ? offset.peer : { _: 'inputPeerEmpty' },
+        offset_id: offset ? offset.id : 0,
+        limit: limit
+      });
+      
+      const index = buildEntityIndex(result, this.accountId);
+      const messages = result.messages
+        .filter(message => message._ !== 'messageEmpty')
+        .map(message => normalizeMessage(message, index));
+      
+      const last = result.messages[result.messages.length - 1];
+      const lastPeer = last ? this.targetResolver.inputPeerFromPeer(last.peer_id, result) : null;
+      const nextOffset = result.messages.length >= limit && lastPeer
+        ? { rate: result.next_rate || last.date, peer: lastPeer, id: last.id }
+        : null;
+      
+      logger.info(`✅ Found ${messages.length} messages`);
+      return {
+        count: result.count !== undefined ? result.count : messages.length,
+        messages: messages,
+        next_offset: nextOffset
+      };
+      
+    } catch (error) {
+      logger.error('❌ Failed to search messages:', error);
+      throw error;
+    }
+  }
+  
+  async getSelfId() {
+    if (!this.selfId) {
+      const [user] = await this.call('users.getUsers', { id: [{ _: 'inputUserSelf' }] });
+      this.selfId = String(user.id);
+    }
+    return this.selfId;
+  }
+  
+  // Fetch messages by id, keeping only those that belong to the resolved chat.
+  // Outside channels message ids are account-wide, so the peer has to be checked.
+  async getChatMessages(resolved, ids) {
+    const inputIds = ids.map(id => ({ _: 'inputMessageID', id: id }));
+    
+    const result = resolved.type === 'channel'
+      ? await this.call('channels.getMessages', { channel: toInputChannel(resolved), id: inputIds })
+      : await this.call('messages.getMessages', { id: inputIds });
+    
+    const chatId = resolved.id === 'self' ? await this.getSelfId() : resolved.id;
+    
+    return (result.messages || []).filter(message => {
+      const peer = normalizePeer(message.peer_id);
+      return message._ !== 'messageEmpty' && peer && peer.id === chatId;
+    });
+  }
+  
+  // Fetch a message and describe the photo/document attached to it
+  async getMessageFile(target, messageId) {
+    try {
+      const id = parseInt(messageId);
+      
+      const [message] = await this.withResolvedTarget(target, (resolved) => this.getChatMessages(resolved, [id]));
+      
+      if (!message) {
+        throw fileError(`Message ${messageId} not found in this chat`);
+      }
+      
+      const file = describeMediaFile(message.media);
+      if (!file) {
+        throw fileError(`Message ${messageId} has no downloadable photo or document`);
+      }
+      
+      return { ...file, peer: String(target), message_id: id };
+    
+    } catch (error) {
+      logger.error('❌ Failed to get message file:', error);
+      throw error;
+    }
+  }
+  
+  // RPC against a specific DC, importing this account's authorization there on first use
+  async callOnDc(dcId, method, params) {
+    const defaultDcId = (await this.mtproto.storage.get('defaultDcId')) || 2;
+    if (!dcId || dcId === defaultDcId) {
+      return this.call(method, params);
+    }
+    
+    try {
+      return await this.call(method, params, { dcId });
+    } catch (error) {
+      if (error.error_message !== 'AUTH_KEY_UNREGISTERED') {
+        throw error;
+      }
+      
+      logger.info(`🔑 Importing authorization to DC ${dcId}...`);
+      const exported = await this.call('auth.exportAuthorization', { dc_id: dcId });
+      await this.call('auth.importAuthorization', {
+        id: exported.id,
+        bytes: exported.bytes
+      }, { dcId, syncAuth: false });
+      
+      return this.call(method, params, { dcId });
+    }
+  }
+  
+  // Read one chunk of a file, starting on the DC that stores it. FILE_MIGRATE_X switches to another
+  // DC (remembered on `file` for the following chunks); an expired file_reference is refreshed from its message.
+  async getFileChunk(file, offset, limit) {
+    const request = () => this.callOnDc(file.download_dc_id || file.dc_id, 'upload.getFile', {
+      location: buildFileLocation(file),
+      offset: offset,
+      limit: limit
+    });
+    
+    try {
+      const result = await request();
+      return Buffer.from(result.bytes);
+    } catch (error) {
+      const errorMessage = error.error_message || '';
+      const migrate = errorMessage.match(/^FILE_MIGRATE_(\d+)$/);
+      
+      if (migrate) {
+        file.download_dc_id = parseInt(migrate[1]);
+        logger.info('🌐 File requires migration to DC:', file.download_dc_id);
+      } else if (errorMessage.startsWith('FILE_REFERENCE_') && file.peer && file.message_id) {
+        logger.info('🔄 File reference expired, refreshing from message...');
+        const fresh = await this.getMessageFile(file.peer, file.message_id);
+        file.file_reference = fresh.file_reference;
+      } else {
+        throw error;
+      }
+      
+      const result = await request();
+      return Buffer.from(result.bytes);
+    }
+  }
+  
+  getStatus() {
+    try {
+      return {
+        account: this.accountId,
+        authenticated: this.isAuthenticated,
+        last_activity: new Date(this.lastActivity).toISOString(),
+        device_model: this.deviceModel || 'Unknown',
+        app_version: this.appVersion || 'Unknown',
+        system_version: this.systemVersion || 'Unknown',
         mtproto_ready: !!this.mtproto,
         api_configured: !!(this.api_id && this.api_hash && this.phone),
-        rate_limits_active: this.rateLimits.size,
-        storage_entries: this.inMemoryStorage.size,
+        entity_cache: this.entityCache.getStatus(),
+        storage_entries: this.sessionStore.size,
+        storage_backend: this.sessionStore.backend.type,
         localStorage_available: typeof global.localStorage !== 'undefined',
         custom_storage_available: true
       };
     } catch (error) {
-      console.error('❌ Error getting status:', error);
+      logger.error('❌ Error getting status:', error);
       return {
         authenticated: false,
         last_activity: new Date().toISOString(),
@@ -532,24 +1706,22 @@ class MTProtoService {
   
   async cleanup() {
     try {
-      console.log('🧹 Cleaning up MTProto service...');
+      logger.info('🧹 Cleaning up MTProto service...');
       
       if (this.mtproto) {
         // Gracefully disconnect if needed
         // Note: @mtproto/core doesn't have a cleanup method
       }
       
-      // Clear rate limits
-      this.rateLimits.clear();
-      
-      // Clear storage
-      this.inMemoryStorage.clear();
+      // Persist the session instead of discarding it
+      this.sessionStore.flush();
       
-      console.log('✅ Cleanup completed');
+      logger.info('✅ Cleanup completed');
     } catch (error) {
-      console.error('❌ Cleanup error:', error);
+      logger.error('❌ Cleanup error:', error);
     }
   }
 }
 
 module.exports = MTProtoService;
+module.exports.SEARCH_FILTERS = SEARCH_FILTERS;
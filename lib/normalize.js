@@ -0,0 +1,318 @@
+// lib/normalize.js
+// Converts raw MTProto objects into the stable JSON shapes returned by the API and webhooks
+
+const { describeMediaFile, encodeFileToken } = require('./media-downloader');
+
+function toIsoDate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function normalizePeer(peer) {
+  if (!peer) {
+    return null;
+  }
+
+  switch (peer._) {
+    case 'peerUser':
+      return { type: 'user', id: String(peer.user_id) };
+    case 'peerChat':
+      return { type: 'chat', id: String(peer.chat_id) };
+    case 'peerChannel':
+      return { type: 'channel', id: String(peer.channel_id) };
+    default:
+      return null;
+  }
+}
+
+// Bot API style id that the target resolver accepts (-<id> for basic groups, -100<id> for channels)
+function peerToTarget(peer) {
+  if (!peer) return null;
+  if (peer.type === 'chat') return `-${peer.id}`;
+  if (peer.type === 'channel' || peer.type === 'supergroup') return `-100${peer.id}`;
+  return peer.id;
+}
+
+// Index users/chats from an RPC result so peers can be enriched with names
+// `account` is the account the result came from; file tokens in the normalized media carry it
+function buildEntityIndex({ users = [], chats = [] } = {}, account = null) {
+  return {
+    users: new Map(users.map(user => [String(user.id), user])),
+    chats: new Map(chats.map(chat => [String(chat.id), chat])),
+    account: account
+  };
+}
+
+function describePeer(peer, index) {
+  if (!peer || !index) {
+    return peer;
+  }
+
+  if (peer.type === 'user') {
+    const user = index.users.get(peer.id);
+    if (user) {
+      return {
+        ...peer,
+        username: user.username || null,
+        name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+        bot: !!user.bot
+      };
+    }
+  } else {
+    const chat = index.chats.get(peer.id);
+    if (chat) {
+      return {
+        ...peer,
+        // Supergroups are channels with the megagroup flag
+        type: peer.type === 'channel' && chat.megagroup ? 'supergroup' : peer.type,
+        username: chat.username || null,
+        title: chat.title || null
+      };
+    }
+  }
+
+  return peer;
+}
+
+// Full user object (contacts, imports) as opposed to a peer reference
+function normalizeUser(user) {
+  return {
+    type: 'user',
+    id: String(user.id),
+    username: user.username || null,
+    name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+    first_name: user.first_name || null,
+    last_name: user.last_name || null,
+    phone: user.phone ? `+${user.phone}` : null,
+    bot: !!user.bot,
+    contact: !!user.contact,
+    mutual_contact: !!user.mutual_contact
+  };
+}
+
+function normalizeEntity(entity) {
+  const normalized = {
+    type: entity._.replace(/^(input)?[mM]essageEntity/, '').replace(/^./, c => c.toLowerCase()),
+    offset: entity.offset,
+    length: entity.length
+  };
+
+  if (entity.url) normalized.url = entity.url;
+  if (entity.language) normalized.language = entity.language;
+  if (entity.user_id) normalized.user_id = String(entity.user_id);
+
+  return normalized;
+}
+
+function getDocumentAttribute(document, type) {
+  return (document.attributes || []).find(attribute => attribute._ === type);
+}
+
+function summarizeMedia(media) {
+  if (!media || media._ === 'messageMediaEmpty') {
+    return null;
+  }
+
+  switch (media._) {
+    case 'messageMediaPhoto': {
+      const photo = media.photo || {};
+      const largest = (photo.sizes || []).filter(size => size.w).pop();
+
+      return {
+        type: 'photo',
+        id: photo.id ? String(photo.id) : null,
+        width: largest ? largest.w : null,
+        height: largest ? largest.h : null
+      };
+    }
+
+    case 'messageMediaDocument': {
+      const document = media.document || {};
+      const audio = getDocumentAttribute(document, 'documentAttributeAudio');
+      const video = getDocumentAttribute(document, 'documentAttributeVideo');
+      const fileName = getDocumentAttribute(document, 'documentAttributeFilename');
+      const sticker = getDocumentAttribute(document, 'documentAttributeSticker');
+
+      let type = 'document';
+      if (sticker) type = 'sticker';
+      else if (audio) type = audio.voice ? 'voice' : 'audio';
+      else if (video) type = video.round_message ? 'video_note' : 'video';
+
+      return {
+        type: type,
+        id: document.id ? String(document.id) : null,
+        mime_type: document.mime_type || null,
+        size: document.size !== undefined ? Number(document.size) : null,
+        file_name: fileName ? fileName.file_name : null,
+        duration: (audio || video) ? (audio || video).duration : null
+      };
+    }
+
+    case 'messageMediaWebPage':
+      return {
+        type: 'webpage',
+        url: media.webpage ? media.webpage.url || null : null
+      };
+
+    case 'messageMediaGeo':
+    case 'messageMediaVenue':
+      return {
+        type: media._ === 'messageMediaVenue' ? 'venue' : 'location',
+        latitude: media.geo ? media.geo.lat : null,
+        longitude: media.geo ? media.geo.long : null,
+        title: media.title || null
+      };
+
+    case 'messageMediaContact':
+      return {
+        type: 'contact',
+        phone_number: media.phone_number,
+        first_name: media.first_name,
+        last_name: media.last_name,
+        user_id: media.user_id ? String(media.user_id) : null
+      };
+
+    default:
+      return { type: media._.replace(/^messageMedia/, '').toLowerCase() };
+  }
+}
+
+function normalizeForward(fwdFrom, index) {
+  if (!fwdFrom) {
+    return null;
+  }
+
+  return {
+    from: describePeer(normalizePeer(fwdFrom.from_id), index),
+    from_name: fwdFrom.from_name || null,
+    date: toIsoDate(fwdFrom.date),
+    channel_post: fwdFrom.channel_post || null
+  };
+}
+
+function normalizeReplyTo(replyTo) {
+  if (!replyTo || !replyTo.reply_to_msg_id) {
+    return null;
+  }
+
+  return {
+    message_id: replyTo.reply_to_msg_id,
+    top_message_id: replyTo.reply_to_top_id || null
+  };
+}
+
+// Media summary plus a file_token for GET /api/files/:token
+function normalizeMedia(message, peer, account) {
+  const media = summarizeMedia(message.media);
+  const file = describeMediaFile(message.media);
+
+  if (media && file && account) {
+    media.file_token = encodeFileToken({ ...file, peer: peerToTarget(peer), message_id: message.id }, account);
+  }
+
+  return media;
+}
+
+// message / messageService objects (as found in updates, history and search results)
+function normalizeMessage(message, index) {
+  const peer = normalizePeer(message.peer_id);
+  const sender = normalizePeer(message.from_id) || (peer && peer.type === 'user' && !message.out ? peer : null);
+
+  return {
+    id: message.id,
+    peer: describePeer(peer, index),
+    sender: describePeer(sender, index),
+    out: !!message.out,
+    date: toIsoDate(message.date),
+    edit_date: toIsoDate(message.edit_date),
+    text: message.message || '',
+    entities: (message.entities || []).map(normalizeEntity),
+    media: normalizeMedia(message, peer, index && index.account),
+    reply_to: normalizeReplyTo(message.reply_to),
+    forward: normalizeForward(message.fwd_from, index),
+    service_action: message._ === 'messageService' && message.action ? message.action._ : null
+  };
+}
+
+function samePeer(a, b) {
+  const left = normalizePeer(a);
+  const right = normalizePeer(b);
+  return !!left && !!right && left.type === right.type && left.id === right.id;
+}
+
+// The top message of a dialog (message ids are only unique per channel, so match the peer too)
+function findTopMessage(dialog, messages = []) {
+  return messages.find(message => message.id === dialog.top_message && samePeer(message.peer_id, dialog.peer)) || null;
+}
+
+// dialog objects from messages.getDialogs, merged with their user/chat entity and top message
+function normalizeDialog(dialog, index, messages) {
+  const peer = describePeer(normalizePeer(dialog.peer), index);
+  const topMessage = findTopMessage(dialog, messages);
+  const muteUntil = dialog.notify_settings && dialog.notify_settings.mute_until;
+
+  return {
+    peer: peer,
+    target: peerToTarget(peer),
+    pinned: !!dialog.pinned,
+    archived: dialog.folder_id === 1,
+    muted: !!muteUntil && muteUntil * 1000 > Date.now(),
+    unread_count: dialog.unread_count,
+    unread_mentions_count: dialog.unread_mentions_count,
+    unread_reactions_count: dialog.unread_reactions_count,
+    marked_unread: !!dialog.unread_mark,
+    read_inbox_max_id: dialog.read_inbox_max_id,
+    read_outbox_max_id: dialog.read_outbox_max_id,
+    top_message: topMessage ? normalizeMessage(topMessage, index) : null
+  };
+}
+
+// messages.sendMessage/sendMedia answer with updateShortSentMessage for users
+// and with a full Updates object for groups and channels
+function extractSentMessage(result) {
+  if (result._ === 'updateShortSentMessage') {
+    return { id: result.id, date: toIsoDate(result.date) };
+  }
+
+  const updates = result.updates || [];
+  const newMessage = updates.find(update =>
+    ['updateNewMessage', 'updateNewChannelMessage', 'updateNewScheduledMessage'].includes(update._));
+
+  if (newMessage) {
+    return { id: newMessage.message.id, date: toIsoDate(newMessage.message.date) };
+  }
+
+  const messageId = updates.find(update => update._ === 'updateMessageID');
+  return { id: messageId ? messageId.id : null, date: null };
+}
+
+// messages.forwardMessages / sendScheduledMessages return one updateNew*Message per message
+function extractSentMessages(result) {
+  return (result.updates || [])
+    .filter(update => ['updateNewMessage', 'updateNewChannelMessage', 'updateNewScheduledMessage'].includes(update._))
+    .map(update => ({ id: update.message.id, date: toIsoDate(update.message.date) }));
+}
+
+// messages.editMessage answers with updateEditMessage / updateEditChannelMessage
+function extractEditedMessage(result, account) {
+  const update = (result.updates || []).find(item =>
+    ['updateEditMessage', 'updateEditChannelMessage'].includes(item._));
+
+  return update ? normalizeMessage(update.message, buildEntityIndex(result, account)) : null;
+}
+
+module.exports = {
+  toIsoDate,
+  normalizePeer,
+  peerToTarget,
+  buildEntityIndex,
+  describePeer,
+  normalizeUser,
+  normalizeEntity,
+  summarizeMedia,
+  normalizeMessage,
+  findTopMessage,
+  normalizeDialog,
+  extractSentMessage,
+  extractSentMessages,
+  extractEditedMessage
+};
@@ -0,0 +1,84 @@
+// lib/pagination.js
+// Opaque cursors for paginated list endpoints (history, dialogs, search)
+//
+// Cursors are signed (see signing.js), so clients cannot hand-craft one; routes still
+// re-validate every field they read from a cursor, since they end up in TL requests.
+
+const { encodeSigned, decodeSigned } = require('./signing');
+
+// Message ids, dates and offsets are all TL int32 values
+const MAX_INTEGER_PARAM = 2147483647;
+
+function cursorError() {
+  const error = new Error('Invalid cursor');
+  error.status = 400;
+  return error;
+}
+
+function encodeCursor(state) {
+  return encodeSigned('cursor', state);
+}
+
+function decodeCursor(cursor) {
+  const state = decodeSigned('cursor', cursor);
+  if (!state) {
+    throw cursorError();
+  }
+  return state;
+}
+
+// Non-negative int32 query parameter (undefined when absent, NaN when malformed or too large)
+function parseIntegerParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    return NaN;
+  }
+
+  const number = parseInt(value);
+  return number <= MAX_INTEGER_PARAM ? number : NaN;
+}
+
+// Cursor fields: a non-negative int32, or NaN
+function cursorInteger(value) {
+  return Number.isInteger(value) ? parseIntegerParam(value) : NaN;
+}
+
+const LONG_PATTERN = /^\d{1,20}$/;
+
+// InputPeer objects stored in cursors as offsets (offset_peer)
+function isInputPeer(peer) {
+  if (!peer || typeof peer !== 'object') {
+    return false;
+  }
+
+  switch (peer._) {
+    case 'inputPeerEmpty':
+    case 'inputPeerSelf':
+      return true;
+    case 'inputPeerChat':
+      return LONG_PATTERN.test(String(peer.chat_id));
+    case 'inputPeerUser':
+      return LONG_PATTERN.test(String(peer.user_id)) && /^-?\d{1,20}$/.test(String(peer.access_hash));
+    case 'inputPeerChannel':
+      return LONG_PATTERN.test(String(peer.channel_id)) && /^-?\d{1,20}$/.test(String(peer.access_hash));
+    default:
+      return false;
+  }
+}
+
+function clampLimit(value, defaultLimit, maxLimit) {
+  const limit = parseInt(value) || defaultLimit;
+  return Math.min(Math.max(limit, 1), maxLimit);
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorError,
+  cursorInteger,
+  isInputPeer,
+  parseIntegerParam,
+  clampLimit
+};
@@ -0,0 +1,158 @@
+// lib/rate-limiter.js
+// Token-bucket limits on outgoing messages at three levels: per recipient, per account and global.
+// Bucket levels are persisted, so a restart does not hand out a fresh allowance.
+//
+// Environment (each "<capacity>/<seconds>", or "off" to disable the level):
+//   RATE_LIMIT_RECIPIENT  per account + recipient (default: 30/3600)
+//   RATE_LIMIT_ACCOUNT    per account (default: 300/3600)
+//   RATE_LIMIT_GLOBAL     across all accounts (default: 1000/3600)
+
+const { createStore } = require('./storage');
+const logger = require('./logger');
+
+const LEVELS = ['recipient', 'account', 'global'];
+
+const DEFAULT_LIMITS = {
+  recipient: '30/3600',
+  account: '300/3600',
+  global: '1000/3600'
+};
+
+// "30/3600" -> { capacity: 30, period_seconds: 3600 }; null when disabled
+function parseLimit(value, name) {
+  if (String(value).toLowerCase() === 'off') {
+    return null;
+  }
+
+  const match = String(value).match(/^(\d+)\/(\d+)$/);
+  if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) {
+    throw new Error(`Invalid rate limit for ${name}: "${value}". Use <capacity>/<seconds> or off`);
+  }
+
+  return { capacity: parseInt(match[1]), period_seconds: parseInt(match[2]) };
+}
+
+function rateLimitError(check) {
+  const error = new Error(`Rate limit exceeded (${check.level}). Retry in ${check.retry_after}s`);
+  error.status = 429;
+  error.rateLimit = check;
+  return error;
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.store = options.store || createStore('rate-limits');
+    this.limits = {};
+
+    for (const level of LEVELS) {
+      const configured = options.limits && options.limits[level] !== undefined
+        ? options.limits[level]
+        : process.env[`RATE_LIMIT_${level.toUpperCase()}`] || DEFAULT_LIMITS[level];
+      this.limits[level] = parseLimit(configured, level);
+    }
+
+    // Buckets that have refilled completely carry no information
+    this.sweepTimer = setInterval(() => this.purgeFull(), 10 * 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  // Tokens in a bucket right now, including the refill since it was last touched
+  level(level, key, now = Date.now()) {
+    const limit = this.limits[level];
+    const state = this.store.get(`${level}:${key}`);
+    if (!state) {
+      return limit.capacity;
+    }
+
+    const refill = ((now - state.updated_at) / 1000) * (limit.capacity / limit.period_seconds);
+    return Math.min(limit.capacity, state.tokens + refill);
+  }
+
+  describe(level, key, tokens) {
+    const limit = this.limits[level];
+    const rate = limit.capacity / limit.period_seconds;
+
+    return {
+      level: level,
+      key: key,
+      limit: limit.capacity,
+      period_seconds: limit.period_seconds,
+      remaining: Math.floor(tokens),
+      // Seconds until one token is available / until the bucket is full again
+      retry_after: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / rate),
+      reset_after: Math.ceil((limit.capacity - tokens) / rate)
+    };
+  }
+
+  bucketsFor({ account, recipient }) {
+    return [
+      ['recipient', `${account}:${String(recipient).replace(/^@/, '').toLowerCase()}`],
+      ['account', account],
+      ['global', 'global']
+    ].filter(([level]) => this.limits[level]);
+  }
+
+  // Take one token from every level, or none at all. Returns the tightest bucket after the
+  // take (null when every level is disabled); throws a 429 error carrying the blocking bucket.
+  consume({ account, recipient }) {
+    const now = Date.now();
+    const buckets = this.bucketsFor({ account, recipient })
+      .map(([level, key]) => ({ level, key, tokens: this.level(level, key, now) }));
+
+    const blocked = buckets.find(bucket => bucket.tokens < 1);
+    if (blocked) {
+      const check = this.describe(blocked.level, blocked.key, blocked.tokens);
+      logger.warn(`⚠️ Rate limit exceeded (${blocked.level} ${blocked.key}), retry in ${check.retry_after}s`);
+      throw rateLimitError(check);
+    }
+
+    let tightest = null;
+    for (const bucket of buckets) {
+      this.store.set(`${bucket.level}:${bucket.key}`, { tokens: bucket.tokens - 1, updated_at: now });
+
+      const check = this.describe(bucket.level, bucket.key, bucket.tokens - 1);
+      if (!tightest || check.remaining < tightest.remaining) {
+        tightest = check;
+      }
+    }
+
+    return tightest;
+  }
+
+  purgeFull() {
+    const now = Date.now();
+
+    for (const storeKey of this.store.keys()) {
+      const separator = storeKey.indexOf(':');
+      const level = storeKey.slice(0, separator);
+
+      if (!this.limits[level] || this.level(level, storeKey.slice(separator + 1), now) >= this.limits[level].capacity) {
+        this.store.delete(storeKey);
+      }
+    }
+  }
+
+  // Current level of every tracked bucket. `includeKey(level, key)` filters what is reported.
+  getStatus(includeKey = () => true) {
+    const now = Date.now();
+    const buckets = [];
+
+    for (const storeKey of this.store.keys()) {
+      const separator = storeKey.indexOf(':');
+      const level = storeKey.slice(0, separator);
+      const key = storeKey.slice(separator + 1);
+
+      if (this.limits[level] && includeKey(level, key)) {
+        buckets.push(this.describe(level, key, this.level(level, key, now)));
+      }
+    }
+
+    return {
+      limits: this.limits,
+      buckets: buckets.sort((a, b) => a.remaining - b.remaining)
+    };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.LEVELS = LEVELS;
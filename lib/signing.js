@@ -0,0 +1,46 @@
+// lib/signing.js
+// HMAC-signed opaque tokens handed to clients (pagination cursors, file tokens).
+// Clients cannot forge or alter them; the payload is still readable, so keep secrets out of it.
+//
+// Environment:
+//   TOKEN_SECRET  key for signing tokens (default: derived from API_SECRET_KEY, or random per
+//                 process, in which case issued tokens do not survive a restart)
+
+const crypto = require('crypto');
+
+const secret = process.env.TOKEN_SECRET || process.env.API_SECRET_KEY;
+const rootKey = secret ? crypto.createHash('sha256').update(String(secret)).digest() : crypto.randomBytes(32);
+
+// Each kind of token is signed with its own key, so a cursor can never pass as a file token
+function signature(purpose, payload) {
+  const key = crypto.createHmac('sha256', rootKey).update(purpose).digest();
+  return crypto.createHmac('sha256', key).update(payload).digest().subarray(0, 16);
+}
+
+function encodeSigned(purpose, state) {
+  const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+  return `${payload}.${signature(purpose, payload).toString('base64url')}`;
+}
+
+// The decoded object, or null when the token is malformed or its signature does not match
+function decodeSigned(purpose, token) {
+  const [payload, presented] = String(token).split('.');
+  const expected = signature(purpose, payload || '');
+  const actual = Buffer.from(presented || '', 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeSigned,
+  decodeSigned
+};
@@ -0,0 +1,358 @@
+// lib/storage.js
+// Persistent, encrypted key/value stores used for the MTProto session and service state
+//
+// Environment:
+//   STORAGE_BACKEND         memory | file | sqlite (default: file when STORAGE_ENCRYPTION_KEY is set,
+//                           memory otherwise, so deployments without the key keep starting up)
+//   STORAGE_DIR             directory for data files (default: ./data)
+//   STORAGE_ENCRYPTION_KEY  secret used to encrypt values at rest (required for file/sqlite)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const CIPHER_VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// AES-256-GCM envelope for values written to disk
+class StorageCipher {
+  constructor(secret) {
+    if (!secret) {
+      throw new Error('STORAGE_ENCRYPTION_KEY is required for the file and sqlite storage backends (or set STORAGE_BACKEND=memory)');
+    }
+
+    this.key = crypto.scryptSync(String(secret), 'mtproto-service-storage', 32);
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${CIPHER_VERSION}:${Buffer.concat([iv, tag, encrypted]).toString('base64')}`;
+  }
+
+  decrypt(payload) {
+    const [version, data] = String(payload).split(':');
+
+    if (version !== CIPHER_VERSION || !data) {
+      throw new Error('Unsupported storage payload format');
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    const iv = buffer.subarray(0, IV_LENGTH);
+    const tag = buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const encrypted = buffer.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, this.key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+// Keeps everything in process memory (previous behaviour)
+class MemoryBackend {
+  constructor() {
+    this.type = 'memory';
+  }
+
+  load() {
+    return new Map();
+  }
+
+  save() {}
+}
+
+// One encrypted JSON file per store, rewritten atomically on flush
+class FileBackend {
+  constructor(name, { dir, cipher }) {
+    this.type = 'file';
+    this.cipher = cipher;
+    this.filePath = path.join(dir, `${name}.json.enc`);
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return new Map();
+    }
+
+    const payload = fs.readFileSync(this.filePath, 'utf8');
+    const entries = JSON.parse(this.cipher.decrypt(payload));
+    return new Map(Object.entries(entries));
+  }
+
+  save(data) {
+    const payload = this.cipher.encrypt(JSON.stringify(Object.fromEntries(data)));
+    const tmpPath = `${this.filePath}.tmp`;
+
+    fs.writeFileSync(tmpPath, payload, { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+// Shared SQLite database, one row per key with an encrypted value
+const sqliteDatabases = new Map();
+
+function openSqliteDatabase(filePath) {
+  if (sqliteDatabases.has(filePath)) {
+    return sqliteDatabases.get(filePath);
+  }
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package to be installed');
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv_store (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  sqliteDatabases.set(filePath, db);
+  return db;
+}
+
+class SqliteBackend {
+  constructor(name, { dir, cipher }) {
+    this.type = 'sqlite';
+    this.name = name;
+    this.cipher = cipher;
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.db = openSqliteDatabase(path.join(dir, 'mtproto-service.sqlite'));
+
+    this.selectAll = this.db.prepare('SELECT key, value FROM kv_store WHERE namespace = ?');
+    this.upsert = this.db.prepare(`
+      INSERT INTO kv_store (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    this.remove = this.db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ?');
+  }
+
+  load() {
+    const data = new Map();
+
+    for (const row of this.selectAll.all(this.name)) {
+      data.set(row.key, JSON.parse(this.cipher.decrypt(row.value)));
+    }
+
+    return data;
+  }
+
+  save(data, dirtyKeys) {
+    const now = Date.now();
+
+    this.db.transaction(() => {
+      for (const key of dirtyKeys) {
+        if (data.has(key)) {
+          this.upsert.run(this.name, key, this.cipher.encrypt(JSON.stringify(data.get(key))), now);
+        } else {
+          this.remove.run(this.name, key);
+        }
+      }
+    })();
+  }
+}
+
+// Map-like store with write-behind persistence.
+// Reads are served from memory; changes are flushed to the backend once they have been quiet
+// for `flushDelay` ms (but no later than `maxFlushDelay` ms after the first one), or immediately
+// via flush() (used on shutdown). The file backend rewrites the whole file, so bursts of writes
+// are batched into one rewrite.
+class PersistentStore {
+  constructor(name, backend, { flushDelay = 1000, maxFlushDelay = 10000 } = {}) {
+    this.name = name;
+    this.backend = backend;
+    this.flushDelay = flushDelay;
+    this.maxFlushDelay = maxFlushDelay;
+    this.dirtyKeys = new Set();
+    this.flushTimer = null;
+    this.firstDirtyAt = null;
+
+    try {
+      this.data = backend.load();
+    } catch (error) {
+      logger.error(`❌ Failed to load ${backend.type} store "${name}":`, error.message);
+      throw new Error(`Failed to load store "${name}": ${error.message}`);
+    }
+
+    logger.debug(`💾 Store "${name}" loaded (${backend.type}, ${this.data.size} entries)`);
+  }
+
+  get(key) {
+    return this.data.get(key);
+  }
+
+  has(key) {
+    return this.data.has(key);
+  }
+
+  set(key, value) {
+    this.data.set(key, value);
+    this.markDirty(key);
+    return value;
+  }
+
+  delete(key) {
+    const existed = this.data.delete(key);
+    if (existed) {
+      this.markDirty(key);
+    }
+    return existed;
+  }
+
+  clear() {
+    for (const key of this.data.keys()) {
+      this.dirtyKeys.add(key);
+    }
+    this.data.clear();
+    this.scheduleFlush();
+  }
+
+  keys() {
+    return Array.from(this.data.keys());
+  }
+
+  values() {
+    return Array.from(this.data.values());
+  }
+
+  entries() {
+    return Array.from(this.data.entries());
+  }
+
+  get size() {
+    return this.data.size;
+  }
+
+  markDirty(key) {
+    this.dirtyKeys.add(key);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    const now = Date.now();
+    if (this.firstDirtyAt === null) {
+      this.firstDirtyAt = now;
+    }
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+    }
+
+    const delay = Math.max(0, Math.min(this.flushDelay, this.firstDirtyAt + this.maxFlushDelay - now));
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+
+    // Never keep the process alive just to persist
+    this.flushTimer.unref();
+  }
+
+  // Synchronous so it can run from signal handlers right before process.exit()
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.firstDirtyAt = null;
+
+    if (this.dirtyKeys.size === 0) {
+      return;
+    }
+
+    const dirtyKeys = this.dirtyKeys;
+    this.dirtyKeys = new Set();
+
+    try {
+      this.backend.save(this.data, dirtyKeys);
+    } catch (error) {
+      // Keep the keys dirty so the next flush retries them
+      for (const key of dirtyKeys) {
+        this.dirtyKeys.add(key);
+      }
+      logger.error(`❌ Failed to flush store "${this.name}":`, error.message);
+    }
+  }
+}
+
+const openStores = new Map();
+let warnedAboutMemoryDefault = false;
+
+// Without an explicit backend, persist to disk only when there is a key to encrypt with.
+// An explicit file/sqlite backend without the key is still a startup error.
+function defaultBackend() {
+  if (process.env.STORAGE_ENCRYPTION_KEY) {
+    return 'file';
+  }
+
+  if (!warnedAboutMemoryDefault) {
+    warnedAboutMemoryDefault = true;
+    logger.warn('⚠️ STORAGE_ENCRYPTION_KEY is not set, using in-memory storage (sessions are lost on restart)');
+  }
+  return 'memory';
+}
+
+function getStorageConfig() {
+  return {
+    backend: (process.env.STORAGE_BACKEND || defaultBackend()).toLowerCase(),
+    dir: path.resolve(process.env.STORAGE_DIR || './data'),
+    encryptionKey: process.env.STORAGE_ENCRYPTION_KEY
+  };
+}
+
+function createBackend(name, config) {
+  switch (config.backend) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'file':
+      return new FileBackend(name, { dir: config.dir, cipher: new StorageCipher(config.encryptionKey) });
+    case 'sqlite':
+      return new SqliteBackend(name, { dir: config.dir, cipher: new StorageCipher(config.encryptionKey) });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${config.backend}". Use memory, file or sqlite`);
+  }
+}
+
+// Returns the store for `name`, opening it on first use
+function createStore(name, options = {}) {
+  if (openStores.has(name)) {
+    return openStores.get(name);
+  }
+
+  const config = { ...getStorageConfig(), ...options };
+  const store = new PersistentStore(name, createBackend(name, config), options);
+
+  openStores.set(name, store);
+  return store;
+}
+
+function flushAllStores() {
+  for (const store of openStores.values()) {
+    store.flush();
+  }
+}
+
+module.exports = {
+  createStore,
+  flushAllStores,
+  PersistentStore,
+  StorageCipher
+};
@@ -0,0 +1,364 @@
+// lib/target-resolver.js
+// Turns user-supplied targets into InputPeer objects
+//
+// Accepted formats:
+//   @username / username              users, bots, public groups and channels
+//   +15551234567                      phone numbers (contacts.resolvePhone, then a temporary importContacts)
+//   123456789                         user / chat / channel id from known dialogs
+//   -123456789 / -100123456789        Bot API style basic group / channel ids
+//   t.me/username, t.me/c/123/45      public links and private channel links
+//   t.me/+hash, t.me/joinchat/hash    invite links of chats the account already belongs to
+//   me / self                         the account itself (Saved Messages)
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const USERNAME_PATTERN = /^@?([a-zA-Z][a-zA-Z0-9_]{3,31})$/;
+const PHONE_PATTERN = /^\+(\d{7,15})$/;
+const ID_PATTERN = /^-?\d{1,20}$/;
+const LINK_PATTERN = /^(?:https?:\/\/)?(?:t|telegram)\.me\/(.+)$/i;
+
+const DIALOG_SCAN_PAGES = 5;
+const DIALOG_PAGE_SIZE = 100;
+
+function targetError(message, status = 404) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Classify a target string without any network calls. Returns null for unsupported input.
+function parseTarget(rawTarget) {
+  const target = String(rawTarget || '').trim();
+
+  if (/^(me|self)$/i.test(target)) {
+    return { kind: 'self' };
+  }
+
+  const phone = target.replace(/[\s()-]/g, '').match(PHONE_PATTERN);
+  if (phone) {
+    return { kind: 'phone', phone: phone[1] };
+  }
+
+  if (ID_PATTERN.test(target)) {
+    // Bot API conventions: -100<id> is a channel, -<id> is a basic group
+    if (target.startsWith('-100')) {
+      return { kind: 'id', type: 'channel', id: target.slice(4) };
+    }
+    if (target.startsWith('-')) {
+      return { kind: 'id', type: 'chat', id: target.slice(1) };
+    }
+    return { kind: 'id', type: null, id: target };
+  }
+
+  const link = target.match(LINK_PATTERN);
+  if (link) {
+    const [first, second] = link[1].split(/[/?#]/);
+
+    if (first.startsWith('+')) {
+      return { kind: 'invite', hash: first.slice(1) };
+    }
+    if (first === 'joinchat' && second) {
+      return { kind: 'invite', hash: second };
+    }
+    if (first === 'c' && /^\d+$/.test(second || '')) {
+      return { kind: 'id', type: 'channel', id: second };
+    }
+
+    const username = first.match(USERNAME_PATTERN);
+    return username ? { kind: 'username', username: username[1] } : null;
+  }
+
+  const username = target.match(USERNAME_PATTERN);
+  if (username) {
+    return { kind: 'username', username: username[1] };
+  }
+
+  return null;
+}
+
+// Resolved target in the shape used throughout the service
+function resolvedFromEntity(entity, type) {
+  if (type === 'user') {
+    return {
+      type: 'user',
+      id: String(entity.id),
+      access_hash: entity.access_hash,
+      username: entity.username || null,
+      title: [entity.first_name, entity.last_name].filter(Boolean).join(' ') || null,
+      peer: { _: 'inputPeerUser', user_id: entity.id, access_hash: entity.access_hash }
+    };
+  }
+
+  if (type === 'chat') {
+    return {
+      type: 'chat',
+      id: String(entity.id),
+      access_hash: null,
+      username: null,
+      title: entity.title || null,
+      peer: { _: 'inputPeerChat', chat_id: entity.id }
+    };
+  }
+
+  return {
+    type: 'channel',
+    id: String(entity.id),
+    access_hash: entity.access_hash,
+    username: entity.username || null,
+    title: entity.title || null,
+    megagroup: !!entity.megagroup,
+    peer: { _: 'inputPeerChannel', channel_id: entity.id, access_hash: entity.access_hash }
+  };
+}
+
+// Same shape, built from an entity cache record
+function resolvedFromRecord(record) {
+  const entity = {
+    _: record.type,
+    id: record.id,
+    access_hash: record.access_hash,
+    username: record.username,
+    title: record.title,
+    first_name: record.title,
+    megagroup: record.megagroup
+  };
+
+  return { ...resolvedFromEntity(entity, record.type), cached: true };
+}
+
+// InputChannel for channel-only methods (channels.*)
+function toInputChannel(resolved) {
+  if (resolved.type !== 'channel') {
+    throw targetError('This operation needs a channel or supergroup target', 400);
+  }
+
+  return { _: 'inputChannel', channel_id: resolved.peer.channel_id, access_hash: resolved.peer.access_hash };
+}
+
+function chatType(chat) {
+  return chat._ === 'chat' || chat._ === 'chatForbidden' ? 'chat' : 'channel';
+}
+
+class TargetResolver {
+  constructor(service) {
+    this.service = service;
+  }
+
+  get cache() {
+    return this.service.entityCache;
+  }
+
+  // Options: { skipCache: true } forces a fresh lookup (used after a stale cache hit failed)
+  async resolve(rawTarget, options = {}) {
+    const parsed = parseTarget(rawTarget);
+
+    if (!parsed) {
+      throw targetError(`Unsupported target format: ${rawTarget}`, 400);
+    }
+
+    if (!options.skipCache) {
+      const record = this.lookupCache(parsed);
+      if (record) {
+        return resolvedFromRecord(record);
+      }
+    }
+
+    switch (parsed.kind) {
+      case 'self':
+        return {
+          type: 'user',
+          id: 'self',
+          access_hash: null,
+          username: null,
+          title: 'Saved Messages',
+          peer: { _: 'inputPeerSelf' }
+        };
+      case 'username':
+        return this.resolveUsername(parsed.username);
+      case 'phone':
+        return this.resolvePhone(parsed.phone);
+      case 'id':
+        return this.resolveId(parsed.id, parsed.type);
+      case 'invite':
+        return this.resolveInvite(parsed.hash);
+      default:
+        throw targetError(`Unsupported target format: ${rawTarget}`, 400);
+    }
+  }
+
+  lookupCache(parsed) {
+    switch (parsed.kind) {
+      case 'username':
+        return this.cache.getByUsername(parsed.username);
+      case 'phone':
+        return this.cache.getByPhone(parsed.phone);
+      case 'id':
+        return this.cache.getById(parsed.id, parsed.type);
+      default:
+        return null;
+    }
+  }
+
+  // Drop whatever the cache knows about a target that Telegram just rejected
+  invalidate(resolved, rawTarget) {
+    const parsed = parseTarget(rawTarget);
+
+    if (parsed && parsed.kind === 'username') {
+      this.cache.invalidateUsername(parsed.username);
+    }
+    if (resolved && resolved.id !== 'self') {
+      this.cache.invalidate(resolved.type, resolved.id);
+    }
+  }
+
+  async resolveUsername(username) {
+    logger.info(`🔍 Resolving username: @${username}`);
+
+    let result;
+    try {
+      result = await this.service.call('contacts.resolveUsername', {
+        username: username
+      });
+    } catch (error) {
+      if (error.error_message === 'USERNAME_NOT_OCCUPIED') {
+        this.cache.invalidateUsername(username);
+      }
+      throw error;
+    }
+
+    if (result.peer._ === 'peerUser') {
+      const user = result.users.find(item => String(item.id) === String(result.peer.user_id));
+      if (user) return resolvedFromEntity(user, 'user');
+    } else {
+      const chatId = String(result.peer.channel_id || result.peer.chat_id);
+      const chat = result.chats.find(item => String(item.id) === chatId);
+      if (chat) return resolvedFromEntity(chat, chatType(chat));
+    }
+
+    throw targetError(`@${username} not found`);
+  }
+
+  async resolvePhone(phone) {
+    logger.info(`🔍 Resolving phone number: +${phone.slice(0, 3)}...`);
+
+    try {
+      const result = await this.service.call('contacts.resolvePhone', {
+        phone: phone
+      });
+
+      const user = result.users[0];
+      if (user) {
+        return resolvedFromEntity(user, 'user');
+      }
+    } catch (error) {
+      // Privacy settings hide most numbers from resolvePhone; importing as a contact still works
+      if (!(error.error_message || '').startsWith('PHONE_')) {
+        throw error;
+      }
+      logger.info('🔍 resolvePhone failed, importing as temporary contact:', error.error_message);
+    }
+
+    const imported = await this.service.call('contacts.importContacts', {
+      contacts: [{
+        _: 'inputPhoneContact',
+        client_id: crypto.randomInt(1, 0x7FFFFFFF),
+        phone: phone,
+        first_name: `+${phone.replace(/^\+/, '')}`,
+        last_name: ''
+      }]
+    });
+
+    const user = imported.users[0];
+    if (!user) {
+      throw targetError('No Telegram account found for this phone number');
+    }
+
+    // Existing contacts resolve above, so this one was added only for the lookup. The access_hash
+    // stays valid (and cached) after the contact is removed again.
+    try {
+      await this.service.call('contacts.deleteContacts', {
+        id: [{ _: 'inputUser', user_id: user.id, access_hash: user.access_hash }]
+      });
+    } catch (error) {
+      logger.warn('⚠️ Failed to remove temporary contact:', error.error_message || error.message);
+    }
+
+    return resolvedFromEntity(user, 'user');
+  }
+
+  // Numeric ids carry no access_hash, so they can only be resolved from dialogs the account has
+  async resolveId(id, type) {
+    logger.info(`🔍 Resolving ${type || 'peer'} id ${id} from dialogs...`);
+
+    let offsetDate = 0;
+    let offsetId = 0;
+    let offsetPeer = { _: 'inputPeerEmpty' };
+
+    for (let page = 0; page < DIALOG_SCAN_PAGES; page++) {
+      const result = await this.service.call('messages.getDialogs', {
+        offset_date: offsetDate,
+        offset_id: offsetId,
+        offset_peer: offsetPeer,
+        limit: DIALOG_PAGE_SIZE,
+        hash: 0,
+      });
+
+      if (type !== 'chat' && type !== 'channel') {
+        const user = result.users.find(item => String(item.id) === id);
+        if (user) return resolvedFromEntity(user, 'user');
+      }
+
+      const chat = result.chats.find(item =>
+        String(item.id) === id && (!type || chatType(item) === type));
+      if (chat) return resolvedFromEntity(chat, chatType(chat));
+
+      if (result._ !== 'messages.dialogsSlice' || result.dialogs.length < DIALOG_PAGE_SIZE) {
+        break;
+      }
+
+      // Continue after the top message of the last dialog on this page
+      const lastDialog = result.dialogs[result.dialogs.length - 1];
+      const lastMessage = result.messages.find(message => message.id === lastDialog.top_message);
+      const lastPeer = this.inputPeerFromPeer(lastDialog.peer, result);
+      if (!lastMessage || !lastPeer) break;
+
+      offsetDate = lastMessage.date;
+      offsetId = lastMessage.id;
+      offsetPeer = lastPeer;
+    }
+
+    throw targetError(`No known dialog with id ${id}`);
+  }
+
+  async resolveInvite(hash) {
+    logger.info('🔍 Checking invite link...');
+
+    const invite = await this.service.call('messages.checkChatInvite', {
+      hash: hash
+    });
+
+    if (invite._ === 'chatInviteAlready' || invite._ === 'chatInvitePeek') {
+      return resolvedFromEntity(invite.chat, chatType(invite.chat));
+    }
+
+    throw targetError(`The account is not a member of "${invite.title}". Join the chat before sending`, 403);
+  }
+
+  inputPeerFromPeer(peer, { users = [], chats = [] }) {
+    if (peer._ === 'peerUser') {
+      const user = users.find(item => String(item.id) === String(peer.user_id));
+      return user ? resolvedFromEntity(user, 'user').peer : null;
+    }
+
+    const chatId = String(peer.channel_id || peer.chat_id);
+    const chat = chats.find(item => String(item.id) === chatId);
+    return chat ? resolvedFromEntity(chat, chatType(chat)).peer : null;
+  }
+}
+
+module.exports = TargetResolver;
+module.exports.parseTarget = parseTarget;
+module.exports.resolvedFromEntity = resolvedFromEntity;
+module.exports.resolvedFromRecord = resolvedFromRecord;
+module.exports.toInputChannel = toInputChannel;
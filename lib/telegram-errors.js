@@ -0,0 +1,26 @@
+// lib/telegram-errors.js
+// Helpers for interpreting MTProto RPC errors
+
+// FLOOD_WAIT_X, FLOOD_PREMIUM_WAIT_X and SLOWMODE_WAIT_X all carry the wait in seconds
+function getFloodWaitSeconds(error) {
+  const match = error && error.error_message && error.error_message.match(/(?:FLOOD_WAIT|FLOOD_PREMIUM_WAIT|SLOWMODE_WAIT)_(\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Errors worth retrying as-is: transport failures and Telegram-side internal errors
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (error.error_code === undefined) {
+    return error.type === 'transport' || error.type === 'socket';
+  }
+
+  return error.error_code >= 500 || error.error_message === 'RPC_CALL_FAIL';
+}
+
+module.exports = {
+  getFloodWaitSeconds,
+  isTransientError
+};
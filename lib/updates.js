@@ -0,0 +1,105 @@
+// lib/updates.js
+// Flattens the @mtproto/core update stream into normalized webhook events
+
+const crypto = require('crypto');
+const { buildEntityIndex, normalizeMessage } = require('./normalize');
+
+// Top-level constructors emitted on mtproto.updates
+const UPDATE_CONTAINERS = [
+  'updates',
+  'updatesCombined',
+  'updateShort',
+  'updateShortMessage',
+  'updateShortChatMessage'
+];
+
+// updateShortMessage / updateShortChatMessage carry the message fields inline
+function expandShortMessage(update) {
+  const isChat = update._ === 'updateShortChatMessage';
+  const fromId = isChat ? update.from_id : (update.out ? null : update.user_id);
+
+  return {
+    _: 'message',
+    id: update.id,
+    out: update.out,
+    peer_id: isChat
+      ? { _: 'peerChat', chat_id: update.chat_id }
+      : { _: 'peerUser', user_id: update.user_id },
+    from_id: fromId ? { _: 'peerUser', user_id: fromId } : null,
+    message: update.message,
+    date: update.date,
+    fwd_from: update.fwd_from,
+    reply_to: update.reply_to,
+    entities: update.entities
+  };
+}
+
+function createEvent(type, payload) {
+  return {
+    id: crypto.randomUUID(),
+    type: type,
+    received_at: new Date().toISOString(),
+    ...payload
+  };
+}
+
+function eventFromUpdate(update, index) {
+  switch (update._) {
+    case 'updateNewMessage':
+    case 'updateNewChannelMessage':
+      if (!update.message || update.message._ === 'messageEmpty') {
+        return null;
+      }
+      return createEvent('message.new', { message: normalizeMessage(update.message, index) });
+
+    case 'updateEditMessage':
+    case 'updateEditChannelMessage':
+      if (!update.message || update.message._ === 'messageEmpty') {
+        return null;
+      }
+      return createEvent('message.edited', { message: normalizeMessage(update.message, index) });
+
+    case 'updateDeleteMessages':
+      // Private chats and basic groups share one message id space, so the peer is unknown
+      return createEvent('message.deleted', {
+        deleted: { peer: null, message_ids: update.messages }
+      });
+
+    case 'updateDeleteChannelMessages':
+      return createEvent('message.deleted', {
+        deleted: {
+          peer: { type: 'channel', id: String(update.channel_id) },
+          message_ids: update.messages
+        }
+      });
+
+    default:
+      return null;
+  }
+}
+
+// Returns the normalized events contained in one update container
+function extractUpdateEvents(container, account) {
+  switch (container._) {
+    case 'updateShortMessage':
+    case 'updateShortChatMessage':
+      return [createEvent('message.new', { message: normalizeMessage(expandShortMessage(container), buildEntityIndex({}, account)) })];
+
+    case 'updateShort':
+      return [eventFromUpdate(container.update, buildEntityIndex({}, account))].filter(Boolean);
+
+    case 'updates':
+    case 'updatesCombined': {
+      const index = buildEntityIndex(container, account);
+      return (container.updates || []).map(update => eventFromUpdate(update, index)).filter(Boolean);
+    }
+
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  UPDATE_CONTAINERS,
+  extractUpdateEvents
+};
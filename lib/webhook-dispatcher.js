@@ -0,0 +1,216 @@
+// lib/webhook-dispatcher.js
+// Delivers normalized update events to outbound webhooks with HMAC signatures,
+// exponential backoff and a persisted dead-letter store
+//
+// Environment:
+//   WEBHOOK_URLS            comma-separated list of endpoints (e.g. Make.com custom webhooks)
+//   WEBHOOK_SECRET          HMAC-SHA256 signing secret
+//   WEBHOOK_MAX_ATTEMPTS    attempts before an event is dead-lettered (default: 5)
+//   WEBHOOK_RETRY_BASE_MS   first retry delay, doubled on every attempt (default: 2000)
+//   WEBHOOK_TIMEOUT_MS      per-request timeout (default: 10000)
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { createStore } = require('./storage');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const EVENT_ID_HEADER = 'X-Webhook-Id';
+
+// Signature covers "<timestamp>.<body>" so a captured request cannot be replayed later with a new timestamp
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.urls = options.urls || (process.env.WEBHOOK_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    this.secret = options.secret || process.env.WEBHOOK_SECRET || null;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = options.retryBaseMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+    this.deadLetters = createStore('webhook-dead-letters');
+    this.pending = new Map();
+    this.stats = { delivered: 0, retried: 0, dead_lettered: 0 };
+
+    if (this.urls.length > 0 && !this.secret) {
+      logger.warn('⚠️ WEBHOOK_SECRET is not set, webhook deliveries will be unsigned');
+    }
+
+    logger.info(`🪝 Webhook dispatcher ready (${this.urls.length} endpoint(s))`);
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  // Fan an event out to every configured endpoint
+  dispatch(event) {
+    for (const url of this.urls) {
+      this.schedule({
+        id: crypto.randomUUID(),
+        url: url,
+        event: event,
+        attempts: 0,
+        last_error: null
+      }, 0);
+    }
+  }
+
+  schedule(delivery, delayMs) {
+    const timer = setTimeout(() => this.attempt(delivery), delayMs);
+    this.pending.set(delivery.id, { delivery, timer });
+  }
+
+  async attempt(delivery) {
+    delivery.attempts += 1;
+
+    try {
+      await this.send(delivery.url, delivery.event);
+
+      this.pending.delete(delivery.id);
+      this.stats.delivered += 1;
+      metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+      logger.info(`✅ Webhook ${delivery.event.type} delivered to ${delivery.url} (attempt ${delivery.attempts})`);
+      return true;
+
+    } catch (error) {
+      delivery.last_error = error.message;
+
+      if (delivery.attempts >= this.maxAttempts) {
+        this.pending.delete(delivery.id);
+        this.deadLetter(delivery);
+        return false;
+      }
+
+      // Exponential backoff with ±20% jitter
+      const backoff = this.retryBaseMs * Math.pow(2, delivery.attempts - 1);
+      const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+
+      this.stats.retried += 1;
+      metrics.webhookDeliveries.inc({ outcome: 'retried' });
+      logger.warn(`⚠️ Webhook delivery to ${delivery.url} failed (${error.message}), retrying in ${delay}ms`);
+      this.schedule(delivery, delay);
+      return false;
+    }
+  }
+
+  async send(url, event) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'mtproto-render-service/webhooks',
+      [EVENT_ID_HEADER]: event.id,
+      [TIMESTAMP_HEADER]: timestamp
+    };
+
+    if (this.secret) {
+      headers[SIGNATURE_HEADER] = signPayload(this.secret, timestamp, body);
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: headers,
+      body: body,
+      timeout: this.timeoutMs
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  deadLetter(delivery) {
+    this.stats.dead_lettered += 1;
+    metrics.webhookDeliveries.inc({ outcome: 'dead_lettered' });
+    logger.error(`❌ Webhook delivery ${delivery.id} dead-lettered after ${delivery.attempts} attempts: ${delivery.last_error}`);
+
+    this.deadLetters.set(delivery.id, {
+      id: delivery.id,
+      url: delivery.url,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      last_error: delivery.last_error,
+      failed_at: new Date().toISOString()
+    });
+  }
+
+  listDeadLetters() {
+    return this.deadLetters.values()
+      .sort((a, b) => a.failed_at.localeCompare(b.failed_at));
+  }
+
+  getDeadLetter(id) {
+    return this.deadLetters.get(id) || null;
+  }
+
+  removeDeadLetter(id) {
+    return this.deadLetters.delete(id);
+  }
+
+  // One immediate delivery attempt; the entry is removed on success and updated on failure
+  async replay(id) {
+    const entry = this.deadLetters.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      await this.send(entry.url, entry.event);
+      this.deadLetters.delete(id);
+      this.stats.delivered += 1;
+      metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+      logger.info(`✅ Dead-lettered webhook ${id} replayed to ${entry.url}`);
+      return { id, delivered: true };
+
+    } catch (error) {
+      const updated = {
+        ...entry,
+        attempts: entry.attempts + 1,
+        last_error: error.message,
+        failed_at: new Date().toISOString()
+      };
+      this.deadLetters.set(id, updated);
+      metrics.webhookDeliveries.inc({ outcome: 'replay_failed' });
+      logger.warn(`⚠️ Replay of webhook ${id} failed: ${error.message}`);
+      return { id, delivered: false, error: error.message };
+    }
+  }
+
+  // Move in-flight retries to the dead-letter store so a shutdown does not lose them
+  shutdown() {
+    for (const { delivery, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      this.deadLetter({
+        ...delivery,
+        last_error: delivery.last_error || 'Service shut down before delivery'
+      });
+    }
+
+    this.pending.clear();
+    this.deadLetters.flush();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      endpoints: this.urls.length,
+      signed: !!this.secret,
+      pending: this.pending.size,
+      dead_letters: this.deadLetters.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = WebhookDispatcher;
+module.exports.signPayload = signPayload;
@@ -1,13 +1,15 @@
 // CRITICAL: Load polyfills FIRST before anything else
 // This must be the very first thing in the application
 
-console.log('🔧 Loading polyfills...');
+const logger = require('./lib/logger');
+
+logger.debug('🔧 Loading polyfills...');
 
 // Enhanced localStorage polyfill that matches MTProto's expected interface
 class EnhancedLocalStoragePolyfill {
   constructor() {
     this.data = new Map();
-    console.log('📦 Enhanced LocalStorage polyfill initialized');
+    logger.debug('📦 Enhanced LocalStorage polyfill initialized');
   }
 
   // Standard localStorage methods
@@ -39,12 +41,12 @@ class EnhancedLocalStoragePolyfill {
 
   // MTProto-specific methods
   get(key) {
-    console.log('🔍 localStorage.get() called with key:', key);
+    logger.debug('🔍 localStorage.get() called with key:', key);
     return this.getItem(key);
   }
 
   set(key, value) {
-    console.log('🔍 localStorage.set() called with key:', key);
+    logger.debug('🔍 localStorage.set() called with key:', key);
     this.setItem(key, value);
   }
 
@@ -71,7 +73,7 @@ class EnhancedLocalStoragePolyfill {
 }
 
 // Set up global polyfills immediately
-console.log('🔧 Setting up global polyfills...');
+logger.debug('🔧 Setting up global polyfills...');
 
 if (typeof global !== 'undefined') {
   // Create enhanced polyfill instances
@@ -99,9 +101,9 @@ if (typeof global !== 'undefined') {
     process.sessionStorage = sessionStoragePolyfill;
   }
   
-  console.log('✅ Enhanced localStorage polyfill installed globally');
-  console.log('🔍 Testing localStorage.get method:', typeof global.localStorage.get);
-  console.log('🔍 Testing localStorage.getItem method:', typeof global.localStorage.getItem);
+  logger.debug('✅ Enhanced localStorage polyfill installed globally');
+  logger.debug('🔍 Testing localStorage.get method:', typeof global.localStorage.get);
+  logger.debug('🔍 Testing localStorage.getItem method:', typeof global.localStorage.getItem);
 }
 
 // Additional browser API polyfills that MTProto might need
@@ -159,31 +161,106 @@ if (typeof global !== 'undefined') {
     };
   }
   
-  console.log('✅ Additional browser API polyfills installed');
+  logger.debug('✅ Additional browser API polyfills installed');
 }
 
 // Test the polyfills before proceeding
-console.log('🧪 Testing polyfills before loading MTProto...');
-console.log('✅ global.localStorage exists:', !!global.localStorage);
-console.log('✅ global.localStorage.get exists:', typeof global.localStorage.get);
-console.log('✅ global.localStorage.getItem exists:', typeof global.localStorage.getItem);
+logger.debug('🧪 Testing polyfills before loading MTProto...');
+logger.debug('✅ global.localStorage exists:', !!global.localStorage);
+logger.debug('✅ global.localStorage.get exists:', typeof global.localStorage.get);
+logger.debug('✅ global.localStorage.getItem exists:', typeof global.localStorage.getItem);
 
 // Now load other modules after polyfills are in place
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const fetch = require('node-fetch');
+const QRCode = require('qrcode');
 
 // Import MTProto service after polyfills are ready
-const MTProtoService = require('./lib/mtproto-service');
+const { SEARCH_FILTERS } = require('./lib/mtproto-service');
+const AccountRegistry = require('./lib/account-registry');
+const { DEFAULT_ACCOUNT_ID } = require('./lib/account-registry');
+const ApiKeyStore = require('./lib/api-keys');
+const { SCOPES, hasScope, canUseAccount } = require('./lib/api-keys');
+const RateLimiter = require('./lib/rate-limiter');
+const { flushAllStores } = require('./lib/storage');
+const WebhookDispatcher = require('./lib/webhook-dispatcher');
+const metrics = require('./lib/metrics');
+const JobQueue = require('./lib/job-queue');
+const { serializeJob } = require('./lib/job-queue');
+const IdempotencyStore = require('./lib/idempotency');
+const { deriveRandomId } = require('./lib/idempotency');
+const { parseTarget } = require('./lib/target-resolver');
+const { extractSentMessage } = require('./lib/normalize');
+const { MEDIA_TYPES, randomLong } = require('./lib/media-uploader');
+const { parseMessage } = require('./lib/message-formatter');
+const { encodeCursor, decodeCursor, cursorInteger, isInputPeer, parseIntegerParam, clampLimit } = require('./lib/pagination');
+const { CHAT_TYPES, ADMIN_RIGHTS, PARTICIPANT_FILTERS } = require('./lib/chat-admin');
+const { parseRange, readFileRange, decodeFileToken } = require('./lib/media-downloader');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Global MTProto service instance
-let mtprotoService = null;
+// Outbound webhooks for incoming Telegram updates
+const webhookDispatcher = new WebhookDispatcher();
+
+// One MTProto service per Telegram account; routes pick one with the `account` parameter
+const accountRegistry = new AccountRegistry();
+accountRegistry.on('service', service => {
+  service.on('update', event => webhookDispatcher.dispatch({ ...event, account: service.accountId }));
+});
+
+// Hashed, scoped API keys (API_SECRET_KEY remains a master key)
+const apiKeys = new ApiKeyStore();
+
+// Token buckets for outgoing messages (per recipient, per account, global)
+const rateLimiter = new RateLimiter();
+
+// Idempotency-Key handling for every mutating route
+const idempotent = new IdempotencyStore({
+  scopeOf: req => `${req.apiKey.id}:${accountOf(req)}`
+}).middleware();
+
+// Persisted outbound job queue (sends are executed by a background worker)
+const jobQueue = new JobQueue();
+
+// Auth state, queue depth and webhook backlog are read at scrape time
+metrics.track({ accounts: accountRegistry, jobQueue: jobQueue, webhooks: webhookDispatcher });
+
+// Bearer token for Prometheus scrapers; without it /metrics needs an admin API key
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// How long `wait: true` callers are held before falling back to 202 + job id
+const SEND_WAIT_TIMEOUT_MS = parseInt(process.env.SEND_WAIT_TIMEOUT_MS) || 25000;
+
+jobQueue.registerHandler('send_message', async ({ account, target, message, options, random_id }) => {
+  const service = await initializeMTProto(account);
+  const result = await service.sendMessage(target, message, { ...options, randomId: random_id });
+  const sent = extractSentMessage(result);
+  
+  return {
+    message_id: sent.id,
+    date: sent.date
+  };
+});
+
+// Request ids and access log
+app.use(logger.requestContext);
+app.use((req, res, next) => {
+  const started = Date.now();
+  res.on('finish', () => {
+    logger.info(`${req.method} ${req.path} ${res.statusCode}`, {
+      duration_ms: Date.now() - started,
+      account: req.query.account || (req.body && req.body.account) || undefined,
+      key: req.apiKey ? req.apiKey.id : undefined
+    });
+  });
+  next();
+});
 
 // Security middleware
 app.use(helmet({
@@ -192,8 +269,9 @@ app.use(helmet({
 
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Scope', 'Retry-After']
 }));
 
 // Rate limiting
@@ -206,28 +284,40 @@ const limiter = rateLimit({
 app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 
-// Initialize MTProto service with enhanced error handling
-async function initializeMTProto() {
+// Initialize (or reuse) the MTProto service of an account with enhanced error handling
+async function initializeMTProto(accountId = DEFAULT_ACCOUNT_ID) {
   try {
-    if (!mtprotoService) {
-      console.log('🚀 Initializing MTProto service...');
+    if (!accountRegistry.services.has(accountId)) {
+      logger.info(`🚀 Initializing MTProto service for account ${accountId}...`);
       
       // Verify polyfills one more time before creating service
-      console.log('🔍 Pre-init localStorage check:', typeof global.localStorage);
-      console.log('🔍 Pre-init localStorage.get check:', typeof global.localStorage.get);
+      logger.debug('🔍 Pre-init localStorage check:', typeof global.localStorage);
+      logger.debug('🔍 Pre-init localStorage.get check:', typeof global.localStorage.get);
       
-      mtprotoService = new MTProtoService();
-      await mtprotoService.initialize();
-      console.log('✅ MTProto service ready');
+      const service = await accountRegistry.getService(accountId);
+      logger.info(`✅ MTProto service ready (account ${accountId})`);
+      return service;
     }
-    return mtprotoService;
+    return accountRegistry.getService(accountId);
   } catch (error) {
-    console.error('❌ MTProto initialization failed:', error);
-    console.error('❌ Error stack:', error.stack);
+    logger.error('❌ MTProto initialization failed:', error);
+    logger.error('❌ Error stack:', error.stack);
     throw error;
   }
 }
 
+// Account a request is for: `account` in the query string or JSON body, else the only account
+// the API key may use, else the default account
+function accountOf(req) {
+  const account = req.query.account || (req.body && req.body.account);
+  if (account) {
+    return String(account);
+  }
+  
+  const allowed = req.apiKey && req.apiKey.accounts;
+  return allowed && allowed.length === 1 ? allowed[0] : DEFAULT_ACCOUNT_ID;
+}
+
 // Keep-alive endpoint (prevents Render sleep)
 app.get('/ping', (req, res) => {
   res.json({ 
@@ -241,13 +331,16 @@ app.get('/ping', (req, res) => {
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
   try {
-    const service = await initializeMTProto();
+    const service = await initializeMTProto(accountOf(req));
     const status = service.getStatus();
     
     res.json({
       status: 'operational',
       timestamp: new Date().toISOString(),
       mtproto: status,
+      accounts: accountRegistry.getStatus(),
+      webhooks: webhookDispatcher.getStatus(),
+      jobs: jobQueue.getDepth(),
       system: {
         uptime: process.uptime(),
         memory: process.memoryUsage(),
@@ -262,7 +355,7 @@ app.get('/api/health', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('❌ Health check failed:', error);
+    logger.error('❌ Health check failed:', error);
     res.status(503).json({
       status: 'error',
       error: error.message,
@@ -272,7 +365,35 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
-// API key validation middleware
+// Prometheus metrics (METRICS_TOKEN or an admin API key)
+app.get('/metrics', requireMetricsAccess, async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('❌ Failed to collect metrics:', error);
+    res.status(500).end(error.message);
+  }
+});
+
+function requireMetricsAccess(req, res, next) {
+  if (!METRICS_TOKEN) {
+    const [authenticate, checkScope] = requireScope('admin');
+    return authenticate(req, res, () => checkScope(req, res, next));
+  }
+  
+  const authHeader = req.headers.authorization || '';
+  const presented = crypto.createHash('sha256').update(authHeader.replace(/^Bearer /, '')).digest();
+  const expected = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  
+  if (!authHeader.startsWith('Bearer ') || !crypto.timingSafeEqual(presented, expected)) {
+    return res.status(401).json({ error: 'Missing or invalid metrics token' });
+  }
+  
+  next();
+}
+
+// API key validation middleware: authenticates the key and counts the request against its quota
 function validateApiKey(req, res, next) {
   const authHeader = req.headers.authorization;
   
@@ -281,20 +402,297 @@ function validateApiKey(req, res, next) {
   }
   
   const apiKey = authHeader.substring(7);
-  const validKey = process.env.API_SECRET_KEY;
   
-  if (!validKey || apiKey !== validKey) {
-    console.warn('⚠️ Invalid API key attempt:', apiKey.substring(0, 10) + '...');
-    return res.status(401).json({ error: 'Invalid API key' });
+  try {
+    req.apiKey = apiKeys.authenticate(apiKey);
+    setQuotaHeaders(res, apiKeys.consume(req.apiKey.id));
+  } catch (error) {
+    if (error.status === 429) {
+      setQuotaHeaders(res, error.quota);
+      return res.status(429).json({ error: error.message, quota: error.quota });
+    }
+    
+    logger.warn(`⚠️ Rejected API key: ${error.message}`, { ip: req.ip });
+    return res.status(401).json({ error: error.message });
   }
   
   next();
 }
 
+function setQuotaHeaders(res, quota) {
+  if (quota) {
+    res.set({
+      'X-Quota-Limit': quota.limit,
+      'X-Quota-Remaining': quota.remaining,
+      'X-Quota-Reset': quota.reset_at
+    });
+  }
+}
+
+// Authenticate, then require `scope` (send, read, auth or admin) and access to the requested account
+function requireScope(scope) {
+  return [validateApiKey, (req, res, next) => {
+    if (!hasScope(req.apiKey, scope)) {
+      return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+    }
+    
+    const account = accountOf(req);
+    if (!canUseAccount(req.apiKey, account)) {
+      return res.status(403).json({ error: `API key is not allowed to use account "${account}"` });
+    }
+    
+    next();
+  }];
+}
+
+// X-RateLimit-* headers describe the tightest bucket (the one closest to running out)
+function setRateLimitHeaders(res, check) {
+  if (check) {
+    res.set({
+      'X-RateLimit-Limit': check.limit,
+      'X-RateLimit-Remaining': check.remaining,
+      'X-RateLimit-Reset': Math.ceil(Date.now() / 1000) + check.reset_after,
+      'X-RateLimit-Scope': check.level
+    });
+  }
+}
+
+// Count one outgoing message to `recipient`; throws a 429 error when a bucket is empty
+function consumeRateLimit(req, res, recipient) {
+  setRateLimitHeaders(res, rateLimiter.consume({ account: accountOf(req), recipient: recipient }));
+}
+
+// Map MTProto errors to HTTP responses (shared by every Telegram-backed route)
+function sendTelegramError(res, error, fallbackError) {
+  // Our own token-bucket limits
+  if (error.rateLimit) {
+    setRateLimitHeaders(res, error.rateLimit);
+    res.set('Retry-After', String(error.rateLimit.retry_after));
+    return res.status(429).json({
+      error: error.message,
+      scope: error.rateLimit.level,
+      retry_after: error.rateLimit.retry_after,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // Errors raised by the service itself carry the HTTP status to use
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // Handle specific MTProto errors
+  if (error.error_message) {
+    if (error.error_message.includes('FLOOD_WAIT')) {
+      const waitTime = parseInt(error.error_message.split('_')[2]) || 60;
+      res.set('Retry-After', String(waitTime));
+      return res.status(429).json({
+        error: 'Telegram rate limit exceeded',
+        retry_after: waitTime,
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('USER_BANNED')) {
+      return res.status(403).json({
+        error: 'Account banned',
+        message: 'Telegram account has been banned',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('USERNAME_NOT_OCCUPIED') ||
+        error.error_message.includes('USERNAME_INVALID') ||
+        error.error_message.includes('PEER_ID_INVALID')) {
+      return res.status(404).json({
+        error: 'User not found',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('CHAT_WRITE_FORBIDDEN') ||
+        error.error_message.includes('CHAT_ADMIN_REQUIRED') ||
+        error.error_message.includes('CHANNEL_PRIVATE')) {
+      return res.status(403).json({
+        error: 'Not allowed to write to this chat',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('INVITE_HASH_EXPIRED') ||
+        error.error_message.includes('INVITE_HASH_INVALID')) {
+      return res.status(404).json({
+        error: 'Invite link is invalid or expired',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('MESSAGE_AUTHOR_REQUIRED') ||
+        error.error_message.includes('MESSAGE_EDIT_TIME_EXPIRED') ||
+        error.error_message.includes('MESSAGE_DELETE_FORBIDDEN') ||
+        error.error_message.includes('PIN_RESTRICTED')) {
+      return res.status(403).json({
+        error: 'Not allowed to modify this message',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.startsWith('SCHEDULE_') ||
+        error.error_message.includes('REPLY_MESSAGE_ID_INVALID') ||
+        error.error_message.includes('TOPIC_ID_INVALID')) {
+      return res.status(400).json({
+        error: 'Invalid reply or schedule parameters',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.startsWith('REACTION')) {
+      return res.status(400).json({
+        error: 'Reaction not allowed in this chat',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('USER_PRIVACY_RESTRICTED') ||
+        error.error_message.includes('USER_NOT_MUTUAL_CONTACT') ||
+        error.error_message.includes('RIGHT_FORBIDDEN') ||
+        error.error_message.includes('ADMINS_TOO_MUCH') ||
+        error.error_message.includes('USER_CHANNELS_TOO_MUCH') ||
+        error.error_message.includes('CHANNELS_TOO_MUCH')) {
+      return res.status(403).json({
+        error: 'Telegram refused the membership change',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('USER_NOT_PARTICIPANT')) {
+      return res.status(404).json({
+        error: 'User is not a member of this chat',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('USER_ALREADY_PARTICIPANT')) {
+      return res.status(409).json({
+        error: 'User is already a member of this chat',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('CHAT_NOT_MODIFIED') ||
+        error.error_message.includes('CHAT_ABOUT_NOT_MODIFIED') ||
+        error.error_message.includes('CHAT_TITLE_EMPTY')) {
+      return res.status(400).json({
+        error: 'Chat info is unchanged or invalid',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('CONTACT_ID_INVALID') ||
+        error.error_message.includes('CONTACT_NAME_EMPTY')) {
+      return res.status(400).json({
+        error: 'Invalid contact',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('SEARCH_QUERY_EMPTY') ||
+        error.error_message.includes('FROM_PEER_INVALID')) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('MESSAGE_NOT_MODIFIED')) {
+      return res.status(400).json({
+        error: 'Message content is unchanged',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('MESSAGE_ID_INVALID')) {
+      return res.status(404).json({
+        error: 'Message not found',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('FILE_REFERENCE_')) {
+      return res.status(410).json({
+        error: 'File reference expired, request the file through its message instead',
+        telegram_error: error.error_message
+      });
+    }
+    
+    if (error.error_message.includes('AUTH_KEY_UNREGISTERED')) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please authenticate your Telegram account first',
+        telegram_error: error.error_message
+      });
+    }
+  }
+  
+  res.status(500).json({
+    error: fallbackError,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Telegram accepts schedule dates up to a year ahead
+const MAX_SCHEDULE_AHEAD_SECONDS = 365 * 24 * 3600;
+
+// Unix seconds from a unix timestamp or ISO 8601 string that lies in the next year
+function parseFutureDate(value, field) {
+  const date = /^\d+$/.test(String(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  const now = Math.floor(Date.now() / 1000);
+  
+  if (!date || date <= now || date > now + MAX_SCHEDULE_AHEAD_SECONDS) {
+    const error = new Error(`${field} must be a unix timestamp or ISO date in the future (at most one year ahead)`);
+    error.status = 400;
+    throw error;
+  }
+  
+  return date;
+}
+
+// reply_to_message_id / top_message_id / schedule_date (unix seconds or ISO 8601) shared by send routes
+function parseDeliveryOptions(body) {
+  const options = {};
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  
+  for (const [field, option] of [['reply_to_message_id', 'replyToMessageId'], ['top_message_id', 'topMessageId']]) {
+    if (body[field] !== undefined && body[field] !== null) {
+      if (!/^\d+$/.test(String(body[field])) || Number(body[field]) <= 0) {
+        throw invalid(`${field} must be a positive integer`);
+      }
+      options[option] = Number(body[field]);
+    }
+  }
+  
+  if (body.schedule_date !== undefined && body.schedule_date !== null) {
+    options.scheduleDate = parseFutureDate(body.schedule_date, 'schedule_date');
+  }
+  
+  return options;
+}
+
+// Delivery fields that used to slip through req.body.options past parseDeliveryOptions
+const MISPLACED_SEND_OPTIONS = [
+  'replyToMessageId', 'topMessageId', 'scheduleDate', 'randomId', 'parseMode',
+  'reply_to_message_id', 'top_message_id', 'schedule_date'
+];
+
 // Send message endpoint
-app.post('/api/send-message', validateApiKey, async (req, res) => {
+app.post('/api/send-message', requireScope('send'), idempotent, async (req, res) => {
   try {
-    const { target, message, options = {} } = req.body;
+    const { target, message, parse_mode, options = {} } = req.body;
     
     // Validate input
     if (!target || !message) {
@@ -304,144 +702,1914 @@ app.post('/api/send-message', validateApiKey, async (req, res) => {
       });
     }
     
-    if (!target.match(/^@?[a-zA-Z0-9_]{5,32}$/)) {
+    if (!parseTarget(target)) {
       return res.status(400).json({
-        error: 'Invalid target format. Use @username or username (5-32 characters)'
+        error: 'Invalid target format',
+        accepted_formats: [
+          '@username',
+          '+phone_number',
+          'numeric user/chat/channel id (-100... for channels)',
+          't.me/username',
+          't.me/+invite_hash',
+          'me'
+        ]
       });
     }
     
-    if (message.length > 4096) {
+    // Delivery fields are validated top-level fields; `options` only carries behaviour flags
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
       return res.status(400).json({
-        error: 'Message too long. Maximum 4096 characters allowed.'
+        error: 'options must be an object'
       });
     }
     
-    console.log(`📤 Sending message to: ${target}`);
+    const misplaced = MISPLACED_SEND_OPTIONS.filter(field => options[field] !== undefined);
+    if (misplaced.length) {
+      return res.status(400).json({
+        error: 'Pass reply_to_message_id, top_message_id and schedule_date as top-level fields, not in options',
+        invalid: misplaced
+      });
+    }
     
-    // Get or initialize MTProto service
-    const service = await initializeMTProto();
+    // The limit applies to the text Telegram receives, i.e. after markdown/HTML is stripped
+    const formatted = parseMessage(message, parse_mode);
+    const delivery = parseDeliveryOptions(req.body);
     
-    // Send message using MTProto
-    const result = await service.sendMessage(target, message, options);
+    if (formatted.text.length > 4096) {
+      return res.status(400).json({
+        error: 'Message too long. Maximum 4096 characters allowed.'
+      });
+    }
     
-    res.json({
-      success: true,
-      message_id: result.id,
-      timestamp: new Date().toISOString(),
-      metadata: {
-        target: target,
-        message_length: message.length,
-        typing_simulated: options.simulateTyping !== false
-      }
-    });
+    consumeRateLimit(req, res, target);
     
-  } catch (error) {
-    console.error('❌ Send message error:', error);
+    logger.info(`📤 Queueing message to: ${target}`);
     
-    // Handle specific MTProto errors
-    if (error.error_message) {
-      if (error.error_message.includes('FLOOD_WAIT')) {
-        const waitTime = parseInt(error.error_message.split('_')[2]) || 60;
-        return res.status(429).json({
-          error: 'Telegram rate limit exceeded',
-          retry_after: waitTime,
-          telegram_error: error.error_message
-        });
-      }
-      
-      if (error.error_message.includes('USER_BANNED')) {
-        return res.status(403).json({
-          error: 'Account banned',
-          message: 'Telegram account has been banned',
-          telegram_error: error.error_message
-        });
-      }
+    // The random_id is fixed when the job is queued, so worker retries after a lost response are
+    // deduplicated by Telegram; a retried request with the same Idempotency-Key reuses it as well
+    const job = jobQueue.enqueue('send_message', {
+      account: accountOf(req),
+      target,
+      message,
+      options: { simulateTyping: options.simulateTyping !== false, ...delivery, parseMode: parse_mode },
+      random_id: req.idempotencyKey ? deriveRandomId(req.idempotencyKey) : randomLong()
+    });
+    const metadata = {
+      target: target,
+      message_length: formatted.text.length,
+      entities: formatted.entities.length,
+      typing_simulated: options.simulateTyping !== false && !delivery.scheduleDate,
+      reply_to_message_id: delivery.replyToMessageId || null,
+      scheduled_for: delivery.scheduleDate ? new Date(delivery.scheduleDate * 1000).toISOString() : null
+    };
+    
+    // Optionally hold the request open for a short while so simple callers still get a message_id
+    if (req.body.wait === true) {
+      const finishedJob = await jobQueue.waitForCompletion(job.id, SEND_WAIT_TIMEOUT_MS);
       
-      if (error.error_message.includes('USERNAME_NOT_OCCUPIED')) {
-        return res.status(404).json({
-          error: 'User not found',
-          telegram_error: error.error_message
+      if (finishedJob && finishedJob.status === 'completed') {
+        return res.json({
+          success: true,
+          job_id: finishedJob.id,
+          message_id: finishedJob.result.message_id,
+          timestamp: new Date().toISOString(),
+          metadata: metadata
         });
       }
       
-      if (error.error_message.includes('AUTH_KEY_UNREGISTERED')) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'Please authenticate your Telegram account first',
-          telegram_error: error.error_message
-        });
+      if (finishedJob && finishedJob.status === 'failed') {
+        return sendTelegramError(res, {
+          message: finishedJob.error.message,
+          error_message: finishedJob.error.telegram_error,
+          status: finishedJob.error.status
+        }, 'Failed to send message');
       }
     }
     
-    res.status(500).json({
-      error: 'Failed to send message',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      timestamp: new Date().toISOString()
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: 'queued',
+      status_url: `/api/jobs/${job.id}`,
+      timestamp: new Date().toISOString(),
+      metadata: metadata
     });
+    
+  } catch (error) {
+    logger.error('❌ Send message error:', error);
+    
+    sendTelegramError(res, error, 'Failed to send message');
   }
 });
 
-// Replace just the /api/auth endpoint in your server.js with this version for debugging
-
-// Authentication endpoints with FULL error debugging
-app.post('/api/auth', validateApiKey, async (req, res) => {
+// Send media endpoint (photo, document, voice, audio, video from a URL or base64)
+// Runs inline rather than through the job queue: base64 payloads are too large to persist
+app.post('/api/send-media', requireScope('send'), idempotent, async (req, res) => {
   try {
-    const { action, phone, code, phone_code_hash } = req.body;
+    const { target, media = {}, caption = '', parse_mode } = req.body;
+    
+    if (!target || (!media.url && !media.base64)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['target', 'media.url or media.base64']
+      });
+    }
     
-    console.log('🔐 === AUTH REQUEST START ===');
-    console.log('🔐 Action:', action);
-    console.log('🔐 Phone:', phone);
-    console.log('🔐 Request body keys:', Object.keys(req.body));
+    if (!parseTarget(target)) {
+      return res.status(400).json({
+        error: 'Invalid target format'
+      });
+    }
     
-    if (!action) {
+    if (media.type && !MEDIA_TYPES.includes(media.type)) {
       return res.status(400).json({
-        error: 'Missing action parameter',
-        valid_actions: ['send_code', 'sign_in', 'check_auth']
+        error: 'Invalid media type',
+        accepted_types: MEDIA_TYPES
       });
     }
     
-    console.log('🔍 Pre-init checks:');
-    console.log('  - localStorage available:', typeof global.localStorage);
-    console.log('  - localStorage.get available:', typeof global.localStorage?.get);
-    console.log('  - Environment vars set:', {
-      api_id: !!process.env.TELEGRAM_API_ID,
-      api_hash: !!process.env.TELEGRAM_API_HASH,
-      phone: !!process.env.TELEGRAM_PHONE,
-      secret_key: !!process.env.API_SECRET_KEY
+    if (parseMessage(caption, parse_mode).text.length > 1024) {
+      return res.status(400).json({
+        error: 'Caption too long. Maximum 1024 characters allowed.'
+      });
+    }
+    
+    const delivery = parseDeliveryOptions(req.body);
+    consumeRateLimit(req, res, target);
+    
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.sendMedia(target, media, {
+      ...delivery,
+      caption: caption,
+      parseMode: parse_mode,
+      randomId: req.idempotencyKey ? deriveRandomId(req.idempotencyKey) : null
     });
+    const sent = extractSentMessage(result);
     
-    let service;
-    try {
-      console.log('🚀 Attempting to initialize MTProto service...');
-      service = await initializeMTProto();
-      console.log('✅ MTProto service initialized successfully');
-    } catch (initError) {
-      console.error('❌ MTProto initialization failed:', initError);
-      return res.status(500).json({
-        error: 'MTProto initialization failed',
-        details: initError.message,
-        stack: initError.stack,
-        stage: 'initialization'
+    res.json({
+      success: true,
+      message_id: sent.id,
+      date: sent.date,
+      scheduled: !!delivery.scheduleDate,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Send media error:', error);
+    
+    sendTelegramError(res, error, 'Failed to send media');
+  }
+});
+
+// Dialog list endpoint
+const DIALOG_TYPE_FILTERS = {
+  users: peer => peer.type === 'user',
+  groups: peer => peer.type === 'chat' || peer.type === 'supergroup',
+  channels: peer => peer.type === 'channel'
+};
+
+// Offsets carried by dialog and global search cursors: { date | rate, id, peer } or null
+function isPeerOffset(offset, dateField) {
+  return offset === null || (!!offset && !Number.isNaN(cursorInteger(offset[dateField])) &&
+    !Number.isNaN(cursorInteger(offset.id)) && isInputPeer(offset.peer));
+}
+
+app.get('/api/dialogs', requireScope('read'), async (req, res) => {
+  try {
+    // A cursor carries the filters of the first request, so later pages stay consistent
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const query = cursor || {
+      types: req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : [],
+      unread: req.query.unread === 'true',
+      archived: req.query.archived === 'true',
+      limit: clampLimit(req.query.limit, 50, 100),
+      offset: null
+    };
+    
+    if (cursor) {
+      if (!Array.isArray(query.types) || !isPeerOffset(query.offset, 'date')) {
+        return res.status(400).json({
+          error: 'Invalid cursor'
+        });
+      }
+      query.limit = clampLimit(query.limit, 50, 100);
+    }
+    
+    const unknownTypes = query.types.filter(type => !DIALOG_TYPE_FILTERS[type]);
+    if (unknownTypes.length) {
+      return res.status(400).json({
+        error: 'Invalid dialog type filter',
+        invalid: unknownTypes,
+        accepted_types: Object.keys(DIALOG_TYPE_FILTERS)
       });
     }
     
-    switch (action) {
-      case 'send_code':
-        if (!phone) {
+    const filtered = query.types.length > 0 || query.unread;
+    const matches = (dialog) =>
+      (!query.types.length || query.types.some(type => DIALOG_TYPE_FILTERS[type](dialog.peer))) &&
+      (!query.unread || dialog.unread_count > 0 || dialog.marked_unread);
+    
+    const service = await initializeMTProto(accountOf(req));
+    const page = await service.listDialogs({
+      limit: query.limit,
+      offset: query.offset,
+      folderId: query.archived ? 1 : 0,
+      filter: filtered ? matches : null
+    });
+    
+    res.json({
+      success: true,
+      count: page.dialogs.length,
+      total: page.total,
+      folder: query.archived ? 'archived' : 'main',
+      dialogs: page.dialogs,
+      next_cursor: page.next_offset ? encodeCursor({ ...query, offset: page.next_offset }) : null
+    });
+    
+  } catch (error) {
+    logger.error('❌ Get dialogs error:', error);
+    
+    sendTelegramError(res, error, 'Failed to get dialogs');
+  }
+});
+
+// Chat history endpoint
+// Pass `next_cursor` back as `cursor` to walk further back in time; it keeps min_id/max_id/limit.
+app.get('/api/chats/:peer/messages', requireScope('read'), async (req, res) => {
+  try {
+    if (!parseTarget(req.params.peer)) {
+      return res.status(400).json({
+        error: 'Invalid target format'
+      });
+    }
+    
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : {};
+    const fromCursor = (field) => cursor[field] === undefined ? parseIntegerParam(req.query[field]) : cursorInteger(cursor[field]);
+    const query = {
+      offset_id: fromCursor('offset_id'),
+      min_id: fromCursor('min_id'),
+      max_id: fromCursor('max_id')
+    };
+    
+    const invalid = Object.keys(query).filter(key => Number.isNaN(query[key]));
+    if (invalid.length) {
+      return res.status(400).json({
+        error: 'Invalid pagination parameters',
+        invalid: invalid,
+        message: 'offset_id, min_id and max_id must be non-negative integers'
+      });
+    }
+    
+    const limit = clampLimit(cursor.limit || req.query.limit, 50, 100);
+    
+    const service = await initializeMTProto(accountOf(req));
+    const history = await service.getHistory(req.params.peer, {
+      offsetId: query.offset_id,
+      minId: query.min_id,
+      maxId: query.max_id,
+      limit: limit
+    });
+    
+    // A full page means there may be older messages; continue below the oldest one we got
+    const oldest = history.messages[history.messages.length - 1];
+    const hasMore = history.page_size >= limit && oldest && oldest.id > (query.min_id || 0) + 1;
+    
+    res.json({
+      success: true,
+      count: history.messages.length,
+      total: history.count,
+      messages: history.messages,
+      next_cursor: hasMore ? encodeCursor({
+        offset_id: oldest.id,
+        min_id: query.min_id,
+        max_id: query.max_id,
+        limit: limit
+      }) : null
+    });
+    
+  } catch (error) {
+    logger.error('❌ Get history error:', error);
+    
+    sendTelegramError(res, error, 'Failed to get messages');
+  }
+});
+
+// Search endpoints. Both take q, filter (see SEARCH_FILTERS), min_date / max_date (unix seconds
+// or ISO 8601) and limit; pass `next_cursor` back as `cursor` for the next page.
+function parseSearchQuery(req) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  const query = {
+    q: String(req.query.q || '').trim(),
+    filter: req.query.filter || 'all',
+    limit: clampLimit(req.query.limit, 50, 100)
+  };
+  
+  if (!SEARCH_FILTERS[query.filter]) {
+    throw invalid(`Invalid search filter. Use one of: ${Object.keys(SEARCH_FILTERS).join(', ')}`);
+  }
+  
+  for (const field of ['min_date', 'max_date']) {
+    const value = req.query[field];
+    if (value === undefined || value === '') continue;
+    
+    const date = /^\d+$/.test(String(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+    if (!date || date < 0) {
+      throw invalid(`${field} must be a unix timestamp or ISO date`);
+    }
+    query[field] = date;
+  }
+  
+  if (query.min_date && query.max_date && query.min_date > query.max_date) {
+    throw invalid('min_date must not be after max_date');
+  }
+  
+  return query;
+}
+
+// Search cursors are signed, but their fields still go straight into messages.search(Global)
+function isValidSearchCursor(query) {
+  return typeof query.q === 'string' && !!SEARCH_FILTERS[query.filter] &&
+    ['min_date', 'max_date'].every(field => query[field] === undefined || !Number.isNaN(cursorInteger(query[field])));
+}
+
+app.get('/api/chats/:peer/search', requireScope('read'), async (req, res) => {
+  try {
+    if (!parseTarget(req.params.peer)) {
+      return res.status(400).json({
+        error: 'Invalid target format'
+      });
+    }
+    
+    // A cursor carries the query of the first request, so later pages stay consistent
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const query = cursor || { ...parseSearchQuery(req), from: req.query.from || null, offset_id: 0 };
+    
+    if (cursor) {
+      if (!isValidSearchCursor(query) || (query.from !== null && typeof query.from !== 'string') ||
+          Number.isNaN(cursorInteger(query.offset_id))) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query.limit = clampLimit(query.limit, 50, 100);
+    }
+    
+    if (query.from && !parseTarget(query.from)) {
+      return res.status(400).json({ error: 'Invalid sender (from) target format' });
+    }
+    
+    if (!query.q && query.filter === 'all' && !query.from) {
+      return res.status(400).json({
+        error: 'Provide q, a filter other than "all", or from'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.searchMessages(req.params.peer, {
+      query: query.q,
+      filter: query.filter,
+      from: query.from,
+      minDate: query.min_date,
+      maxDate: query.max_date,
+      offsetId: query.offset_id,
+      limit: query.limit
+    });
+    
+    const oldest = result.messages[result.messages.length - 1];
+    
+    res.json({
+      success: true,
+      count: result.messages.length,
+      total: result.count,
+      messages: result.messages,
+      next_cursor: result.page_size >= query.limit && oldest
+        ? encodeCursor({ ...query, offset_id: oldest.id })
+        : null
+    });
+    
+  } catch (error) {
+    logger.error('❌ Search messages error:', error);
+    
+    sendTelegramError(res, error, 'Failed to search messages');
+  }
+});
+
+app.get('/api/search', requireScope('read'), async (req, res) => {
+  try {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const query = cursor || { ...parseSearchQuery(req), offset: null };
+    
+    if (cursor) {
+      if (!isValidSearchCursor(query) || !isPeerOffset(query.offset, 'rate')) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query.limit = clampLimit(query.limit, 50, 100);
+    }
+    
+    if (!query.q && query.filter === 'all') {
+      return res.status(400).json({
+        error: 'Provide q or a filter other than "all"'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.searchGlobal({
+      query: query.q,
+      filter: query.filter,
+      minDate: query.min_date,
+      maxDate: query.max_date,
+      offset: query.offset,
+      limit: query.limit
+    });
+    
+    res.json({
+      success: true,
+      count: result.messages.length,
+      total: result.count,
+      messages: result.messages,
+      next_cursor: result.next_offset ? encodeCursor({ ...query, offset: result.next_offset }) : null
+    });
+    
+  } catch (error) {
+    logger.error('❌ Global search error:', error);
+    
+    sendTelegramError(res, error, 'Failed to search messages');
+  }
+});
+
+// Message management endpoints (edit, delete, forward, pin)
+function parseMessageIds(value) {
+  const ids = Array.isArray(value) ? value : [value];
+  
+  if (ids.length === 0 || ids.length > 100 || !ids.every(id => /^\d+$/.test(String(id)) && Number(id) > 0)) {
+    return null;
+  }
+  
+  return ids.map(Number);
+}
+
+function validateMessageRoute(req, res) {
+  if (!parseTarget(req.params.peer)) {
+    res.status(400).json({ error: 'Invalid target format' });
+    return false;
+  }
+  
+  if (req.params.id !== undefined && !parseMessageIds(req.params.id)) {
+    res.status(400).json({ error: 'Message id must be a positive integer' });
+    return false;
+  }
+  
+  return true;
+}
+
+app.post('/api/chats/:peer/messages/:id/edit', requireScope('send'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const { message, parse_mode } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['message']
+      });
+    }
+    
+    if (parseMessage(message, parse_mode).text.length > 4096) {
+      return res.status(400).json({
+        error: 'Message too long. Maximum 4096 characters allowed.'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const edited = await service.editMessage(req.params.peer, req.params.id, message, { parseMode: parse_mode });
+    
+    res.json({
+      success: true,
+      message_id: Number(req.params.id),
+      message: edited,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Edit message error:', error);
+    
+    sendTelegramError(res, error, 'Failed to edit message');
+  }
+});
+
+async function handleDeleteMessages(req, res, messageIds, revoke) {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    if (!messageIds) {
+      return res.status(400).json({
+        error: 'message_ids must be an array of 1-100 positive integers'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.deleteMessages(req.params.peer, messageIds, { revoke });
+    
+    res.json({
+      success: true,
+      revoke: revoke,
+      deleted: result.deleted,
+      not_found: result.not_found,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Delete messages error:', error);
+    
+    sendTelegramError(res, error, 'Failed to delete messages');
+  }
+}
+
+// revoke defaults to true: a message "retracted" through the API should disappear for everyone
+app.delete('/api/chats/:peer/messages/:id', requireScope('send'), idempotent, (req, res) => {
+  handleDeleteMessages(req, res, parseMessageIds(req.params.id), req.query.revoke !== 'false');
+});
+
+app.post('/api/chats/:peer/messages/delete', requireScope('send'), idempotent, (req, res) => {
+  handleDeleteMessages(req, res, parseMessageIds(req.body.message_ids), req.body.revoke !== false);
+});
+
+app.post('/api/chats/:peer/messages/forward', requireScope('send'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const { to, silent, drop_author } = req.body;
+    const messageIds = parseMessageIds(req.body.message_ids);
+    
+    if (!to || !messageIds) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['to', 'message_ids (array of 1-100 positive integers)']
+      });
+    }
+    
+    if (!parseTarget(to)) {
+      return res.status(400).json({
+        error: 'Invalid destination target format'
+      });
+    }
+    
+    consumeRateLimit(req, res, to);
+    
+    const service = await initializeMTProto(accountOf(req));
+    const forwarded = await service.forwardMessages(req.params.peer, messageIds, to, {
+      silent: !!silent,
+      dropAuthor: !!drop_author,
+      // Same Idempotency-Key → same random_ids, so Telegram does not forward twice
+      randomIds: req.idempotencyKey ? messageIds.map(id => deriveRandomId(req.idempotencyKey, String(id))) : null
+    });
+    
+    res.json({
+      success: true,
+      count: forwarded.length,
+      messages: forwarded,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Forward messages error:', error);
+    
+    sendTelegramError(res, error, 'Failed to forward messages');
+  }
+});
+
+async function handlePinMessage(req, res, unpin) {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const service = await initializeMTProto(accountOf(req));
+    await service.pinMessage(req.params.peer, req.params.id, {
+      unpin: unpin,
+      silent: req.body.silent === true,
+      pmOneside: req.body.pm_oneside === true
+    });
+    
+    res.json({
+      success: true,
+      message_id: Number(req.params.id),
+      pinned: !unpin,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Pin message error:', error);
+    
+    sendTelegramError(res, error, unpin ? 'Failed to unpin message' : 'Failed to pin message');
+  }
+}
+
+app.post('/api/chats/:peer/messages/:id/pin', requireScope('send'), idempotent, (req, res) => {
+  handlePinMessage(req, res, false);
+});
+
+app.delete('/api/chats/:peer/messages/:id/pin', requireScope('send'), idempotent, (req, res) => {
+  handlePinMessage(req, res, true);
+});
+
+// Scheduled message endpoints (messages queued on Telegram's side with schedule_date)
+app.get('/api/chats/:peer/scheduled', requireScope('read'), async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const service = await initializeMTProto(accountOf(req));
+    const messages = await service.getScheduledMessages(req.params.peer);
+    
+    res.json({
+      success: true,
+      count: messages.length,
+      // For scheduled messages `date` is when Telegram will send them
+      messages: messages
+    });
+    
+  } catch (error) {
+    logger.error('❌ Get scheduled messages error:', error);
+    
+    sendTelegramError(res, error, 'Failed to get scheduled messages');
+  }
+});
+
+app.post('/api/chats/:peer/scheduled/send', requireScope('send'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const messageIds = parseMessageIds(req.body.message_ids);
+    if (!messageIds) {
+      return res.status(400).json({
+        error: 'message_ids must be an array of 1-100 positive integers'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const sent = await service.sendScheduledMessages(req.params.peer, messageIds);
+    
+    res.json({
+      success: true,
+      count: sent.length,
+      messages: sent,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Send scheduled messages error:', error);
+    
+    sendTelegramError(res, error, 'Failed to send scheduled messages');
+  }
+});
+
+async function handleCancelScheduled(req, res, messageIds) {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    if (!messageIds) {
+      return res.status(400).json({
+        error: 'message_ids must be an array of 1-100 positive integers'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    await service.deleteScheduledMessages(req.params.peer, messageIds);
+    
+    res.json({
+      success: true,
+      cancelled: messageIds,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Cancel scheduled messages error:', error);
+    
+    sendTelegramError(res, error, 'Failed to cancel scheduled messages');
+  }
+}
+
+app.delete('/api/chats/:peer/scheduled/:id', requireScope('send'), idempotent, (req, res) => {
+  handleCancelScheduled(req, res, parseMessageIds(req.params.id));
+});
+
+app.post('/api/chats/:peer/scheduled/delete', requireScope('send'), idempotent, (req, res) => {
+  handleCancelScheduled(req, res, parseMessageIds(req.body.message_ids));
+});
+
+// Read receipt and reaction endpoints
+app.post('/api/chats/:peer/read', requireScope('send'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const maxId = req.body.max_id === undefined ? 0 : parseIntegerParam(req.body.max_id);
+    if (Number.isNaN(maxId)) {
+      return res.status(400).json({
+        error: 'max_id must be a non-negative integer (0 marks the whole chat as read)'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    await service.markAsRead(req.params.peer, maxId);
+    
+    res.json({
+      success: true,
+      max_id: maxId,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Mark as read error:', error);
+    
+    sendTelegramError(res, error, 'Failed to mark chat as read');
+  }
+});
+
+app.get('/api/chats/:peer/read-state', requireScope('read'), async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const messageId = parseIntegerParam(req.query.message_id);
+    if (Number.isNaN(messageId)) {
+      return res.status(400).json({
+        error: 'message_id must be a positive integer'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const dialog = await service.getReadState(req.params.peer);
+    
+    const response = {
+      success: true,
+      peer: dialog.peer,
+      read_inbox_max_id: dialog.read_inbox_max_id,
+      read_outbox_max_id: dialog.read_outbox_max_id,
+      unread_count: dialog.unread_count,
+      top_message_id: dialog.top_message ? dialog.top_message.id : null
+    };
+    
+    // Outgoing messages up to read_outbox_max_id have been read by the other side
+    if (messageId) {
+      response.message_id = messageId;
+      response.read = messageId <= dialog.read_outbox_max_id;
+    }
+    
+    res.json(response);
+    
+  } catch (error) {
+    logger.error('❌ Read state error:', error);
+    
+    sendTelegramError(res, error, 'Failed to get read state');
+  }
+});
+
+async function handleReaction(req, res, emoticons) {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    if (!emoticons.every(emoticon => typeof emoticon === 'string' && emoticon.length > 0 && emoticon.length <= 16)) {
+      return res.status(400).json({
+        error: 'reaction must be an emoji string (or an array of them)'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    await service.sendReaction(req.params.peer, req.params.id, emoticons, { big: req.body.big === true });
+    
+    res.json({
+      success: true,
+      message_id: Number(req.params.id),
+      reactions: emoticons,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Reaction error:', error);
+    
+    sendTelegramError(res, error, 'Failed to update reaction');
+  }
+}
+
+app.post('/api/chats/:peer/messages/:id/reactions', requireScope('send'), idempotent, (req, res) => {
+  const { reaction } = req.body;
+  const emoticons = reaction === undefined || reaction === null ? [] : [].concat(reaction);
+  
+  if (emoticons.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['reaction'],
+      message: 'Use DELETE to remove a reaction'
+    });
+  }
+  
+  handleReaction(req, res, emoticons);
+});
+
+app.delete('/api/chats/:peer/messages/:id/reactions', requireScope('send'), idempotent, (req, res) => {
+  handleReaction(req, res, []);
+});
+
+// Group and channel administration endpoints
+function parseUserTargets(value) {
+  const users = Array.isArray(value) ? value : [value];
+  
+  if (users.length === 0 || users.length > 50 || !users.every(user => parseTarget(user))) {
+    return null;
+  }
+  
+  return users;
+}
+
+app.post('/api/chats', requireScope('chat_admin'), idempotent, async (req, res) => {
+  try {
+    const { type, title, about, users } = req.body;
+    
+    if (!CHAT_TYPES.includes(type) || !title) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['type', 'title'],
+        accepted_types: CHAT_TYPES
+      });
+    }
+    
+    if (title.length > 128 || (about && about.length > 255)) {
+      return res.status(400).json({
+        error: 'Title is limited to 128 characters and about to 255'
+      });
+    }
+    
+    const userTargets = users === undefined ? [] : parseUserTargets(users);
+    if (!userTargets) {
+      return res.status(400).json({
+        error: 'users must be a list of 1-50 valid targets'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const chat = await service.chatAdmin.createChat(type, title, { about, users: userTargets });
+    
+    res.status(201).json({
+      success: true,
+      chat: chat,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Create chat error:', error);
+    
+    sendTelegramError(res, error, 'Failed to create chat');
+  }
+});
+
+app.post('/api/chats/:peer/info', requireScope('chat_admin'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const { title, about, photo } = req.body;
+    
+    if (title === undefined && about === undefined && !photo) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        accepted_fields: ['title', 'about', 'photo.url', 'photo.base64']
+      });
+    }
+    
+    if ((title !== undefined && (!title || title.length > 128)) || (about && about.length > 255)) {
+      return res.status(400).json({
+        error: 'Title must be 1-128 characters and about at most 255'
+      });
+    }
+    
+    if (photo && !photo.url && !photo.base64) {
+      return res.status(400).json({
+        error: 'photo requires url or base64'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const updated = await service.chatAdmin.editInfo(req.params.peer, { title, about, photo });
+    
+    res.json({
+      success: true,
+      updated: updated,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Edit chat info error:', error);
+    
+    sendTelegramError(res, error, 'Failed to update chat info');
+  }
+});
+
+app.get('/api/chats/:peer/members', requireScope('read'), async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const query = cursor || {
+      filter: req.query.filter || 'recent',
+      q: req.query.q || '',
+      limit: clampLimit(req.query.limit, 100, 200),
+      offset: 0
+    };
+    
+    if (cursor) {
+      if (typeof query.q !== 'string' || Number.isNaN(cursorInteger(query.offset))) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query.limit = clampLimit(query.limit, 100, 200);
+    }
+    
+    if (!PARTICIPANT_FILTERS[query.filter]) {
+      return res.status(400).json({
+        error: 'Invalid member filter',
+        accepted_filters: Object.keys(PARTICIPANT_FILTERS)
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const page = await service.chatAdmin.getParticipants(req.params.peer, query);
+    const nextOffset = query.offset + page.participants.length;
+    
+    res.json({
+      success: true,
+      count: page.participants.length,
+      total: page.total,
+      members: page.participants,
+      next_cursor: page.participants.length >= query.limit && nextOffset < page.total
+        ? encodeCursor({ ...query, offset: nextOffset })
+        : null
+    });
+    
+  } catch (error) {
+    logger.error('❌ List members error:', error);
+    
+    sendTelegramError(res, error, 'Failed to list members');
+  }
+});
+
+app.post('/api/chats/:peer/members', requireScope('chat_admin'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const userTargets = parseUserTargets(req.body.users);
+    if (!userTargets) {
+      return res.status(400).json({
+        error: 'users must be a list of 1-50 valid targets'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const added = await service.chatAdmin.inviteMembers(req.params.peer, userTargets);
+    
+    res.json({
+      success: true,
+      added: added,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Add members error:', error);
+    
+    sendTelegramError(res, error, 'Failed to add members');
+  }
+});
+
+app.delete('/api/chats/:peer/members/:user', requireScope('chat_admin'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    if (!parseTarget(req.params.user)) {
+      return res.status(400).json({ error: 'Invalid user target format' });
+    }
+    
+    const ban = req.query.ban === 'true';
+    const service = await initializeMTProto(accountOf(req));
+    await service.chatAdmin.removeMember(req.params.peer, req.params.user, { ban });
+    
+    res.json({
+      success: true,
+      removed: req.params.user,
+      banned: ban,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Remove member error:', error);
+    
+    sendTelegramError(res, error, 'Failed to remove member');
+  }
+});
+
+async function handleSetAdmin(req, res, promote) {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    if (!parseTarget(req.params.user)) {
+      return res.status(400).json({ error: 'Invalid user target format' });
+    }
+    
+    const { rights, rank } = req.body;
+    
+    if (rights !== undefined && (!Array.isArray(rights) || !rights.every(right => ADMIN_RIGHTS.includes(right)))) {
+      return res.status(400).json({
+        error: 'Invalid admin rights',
+        accepted_rights: ADMIN_RIGHTS
+      });
+    }
+    
+    if (rank && rank.length > 16) {
+      return res.status(400).json({ error: 'rank is limited to 16 characters' });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const granted = await service.chatAdmin.setAdmin(req.params.peer, req.params.user, { promote, rights, rank });
+    
+    res.json({
+      success: true,
+      user: req.params.user,
+      admin: promote,
+      rights: granted,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Set admin error:', error);
+    
+    sendTelegramError(res, error, promote ? 'Failed to promote admin' : 'Failed to demote admin');
+  }
+}
+
+app.post('/api/chats/:peer/admins/:user', requireScope('chat_admin'), idempotent, (req, res) => {
+  handleSetAdmin(req, res, true);
+});
+
+app.delete('/api/chats/:peer/admins/:user', requireScope('chat_admin'), idempotent, (req, res) => {
+  handleSetAdmin(req, res, false);
+});
+
+app.get('/api/chats/:peer/invite-links', requireScope('chat_admin'), async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.chatAdmin.listInviteLinks(req.params.peer, {
+      revoked: req.query.revoked === 'true',
+      limit: clampLimit(req.query.limit, 50, 100)
+    });
+    
+    res.json({
+      success: true,
+      count: result.invites.length,
+      total: result.total,
+      invite_links: result.invites
+    });
+    
+  } catch (error) {
+    logger.error('❌ List invite links error:', error);
+    
+    sendTelegramError(res, error, 'Failed to list invite links');
+  }
+});
+
+app.post('/api/chats/:peer/invite-links', requireScope('chat_admin'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    const { title, usage_limit, request_needed } = req.body;
+    const options = { title, request_needed: request_needed === true };
+    
+    if (usage_limit !== undefined) {
+      if (!Number.isInteger(usage_limit) || usage_limit < 1 || usage_limit > 99999) {
+        return res.status(400).json({ error: 'usage_limit must be an integer between 1 and 99999' });
+      }
+      options.usage_limit = usage_limit;
+    }
+    
+    if (req.body.expire_date !== undefined) {
+      options.expire_date = parseFutureDate(req.body.expire_date, 'expire_date');
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const invite = await service.chatAdmin.createInviteLink(req.params.peer, options);
+    
+    res.status(201).json({
+      success: true,
+      invite_link: invite,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Create invite link error:', error);
+    
+    sendTelegramError(res, error, 'Failed to create invite link');
+  }
+});
+
+app.post('/api/chats/:peer/invite-links/revoke', requireScope('chat_admin'), idempotent, async (req, res) => {
+  try {
+    if (!validateMessageRoute(req, res)) return;
+    
+    if (!req.body.link) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['link']
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const invite = await service.chatAdmin.revokeInviteLink(req.params.peer, req.body.link);
+    
+    res.json({
+      success: true,
+      invite_link: invite,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Revoke invite link error:', error);
+    
+    sendTelegramError(res, error, 'Failed to revoke invite link');
+  }
+});
+
+const MAX_IMPORT_CONTACTS = 100;
+
+app.get('/api/contacts', requireScope('read'), async (req, res) => {
+  try {
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.getContacts();
+    
+    res.json({
+      success: true,
+      count: result.contacts.length,
+      saved_count: result.saved_count,
+      contacts: result.contacts
+    });
+    
+  } catch (error) {
+    logger.error('❌ List contacts error:', error);
+    
+    sendTelegramError(res, error, 'Failed to list contacts');
+  }
+});
+
+// Body: { contacts: [{ phone, first_name, last_name? }] }. Malformed entries are reported
+// as "invalid" in place instead of failing the whole batch.
+app.post('/api/contacts/import', requireScope('send'), idempotent, async (req, res) => {
+  try {
+    const entries = req.body.contacts;
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_IMPORT_CONTACTS) {
+      return res.status(400).json({
+        error: `contacts must be a list of 1-${MAX_IMPORT_CONTACTS} entries`
+      });
+    }
+    
+    const results = new Array(entries.length);
+    const valid = [];
+    
+    entries.forEach((entry, position) => {
+      const parsed = entry && typeof entry.phone === 'string' ? parseTarget(entry.phone) : null;
+      const firstName = entry && typeof entry.first_name === 'string' ? entry.first_name.trim() : '';
+      
+      if (!parsed || parsed.kind !== 'phone' || !firstName) {
+        results[position] = {
+          phone: entry && entry.phone !== undefined ? entry.phone : null,
+          status: 'invalid',
+          error: 'Each contact needs a phone in international format (+15551234567) and a first_name',
+          user: null
+        };
+        return;
+      }
+      
+      valid.push({
+        position: position,
+        phone: parsed.phone,
+        first_name: firstName,
+        last_name: typeof entry.last_name === 'string' ? entry.last_name.trim() : ''
+      });
+    });
+    
+    if (valid.length) {
+      const service = await initializeMTProto(accountOf(req));
+      const imported = await service.importContacts(valid);
+      
+      imported.forEach((result, i) => {
+        results[valid[i].position] = { ...result, phone: `+${result.phone}` };
+      });
+    }
+    
+    res.json({
+      success: true,
+      imported: results.filter(result => result.status === 'imported').length,
+      results: results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Import contacts error:', error);
+    
+    sendTelegramError(res, error, 'Failed to import contacts');
+  }
+});
+
+app.post('/api/contacts/delete', requireScope('send'), idempotent, async (req, res) => {
+  try {
+    const userTargets = parseUserTargets(req.body.users);
+    if (!userTargets) {
+      return res.status(400).json({
+        error: 'users must be a list of 1-50 valid targets'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const deleted = await service.deleteContacts(userTargets);
+    
+    res.json({
+      success: true,
+      deleted: deleted,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Delete contacts error:', error);
+    
+    sendTelegramError(res, error, 'Failed to delete contacts');
+  }
+});
+
+app.get('/api/contacts/blocked', requireScope('read'), async (req, res) => {
+  try {
+    const offset = parseIntegerParam(req.query.offset);
+    if (Number.isNaN(offset)) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    
+    const limit = clampLimit(req.query.limit, 100, 100);
+    const service = await initializeMTProto(accountOf(req));
+    const result = await service.getBlocked({ offset: offset || 0, limit: limit });
+    
+    res.json({
+      success: true,
+      count: result.blocked.length,
+      total: result.total,
+      blocked: result.blocked
+    });
+    
+  } catch (error) {
+    logger.error('❌ List blocked users error:', error);
+    
+    sendTelegramError(res, error, 'Failed to list blocked users');
+  }
+});
+
+async function handleBlock(req, res, blocked) {
+  try {
+    if (!parseTarget(req.params.user)) {
+      return res.status(400).json({ error: 'Invalid user target format' });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    await service.setBlocked(req.params.user, blocked);
+    
+    res.json({
+      success: true,
+      user: req.params.user,
+      blocked: blocked,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error(`❌ ${blocked ? 'Block' : 'Unblock'} user error:`, error);
+    
+    sendTelegramError(res, error, `Failed to ${blocked ? 'block' : 'unblock'} user`);
+  }
+}
+
+app.post('/api/contacts/:user/block', requireScope('send'), idempotent, (req, res) => {
+  handleBlock(req, res, true);
+});
+
+app.delete('/api/contacts/:user/block', requireScope('send'), idempotent, (req, res) => {
+  handleBlock(req, res, false);
+});
+
+// Stream a Telegram file to the client, honouring a single "Range: bytes=" header
+async function sendTelegramFile(req, res, service, file) {
+  const range = parseRange(req.headers.range, file.size);
+  
+  if (range && range.unsatisfiable) {
+    res.set('Content-Range', `bytes */${file.size}`);
+    return res.status(416).end();
+  }
+  
+  const start = range ? range.start : 0;
+  const end = range ? range.end : (file.size ? file.size - 1 : Infinity);
+  const chunks = readFileRange((offset, limit) => service.getFileChunk(file, offset, limit), start, end);
+  
+  // Read the first chunk before sending headers so Telegram errors still get a JSON response
+  const first = await chunks.next();
+  
+  // File tokens come from the client and may lack a file name; the mime type ends up in a header
+  const fileName = typeof file.file_name === 'string' && file.file_name ? file.file_name : `file_${file.id}`;
+  const mimeType = /^[\w.+-]+\/[\w.+-]+$/.test(String(file.mime_type || '')) ? file.mime_type : 'application/octet-stream';
+  
+  const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+  const asciiName = fileName.replace(/[^\x20-\x7E]|["\\]/g, '_');
+  
+  res.status(range ? 206 : 200);
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, max-age=3600'
+  });
+  
+  if (file.size) {
+    res.set('Content-Length', String(end - start + 1));
+  }
+  if (range) {
+    res.set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+  }
+  
+  logger.info(`📥 Streaming ${fileName} (${range ? `bytes ${start}-${end}` : `${file.size || '?'} bytes`})`);
+  
+  try {
+    if (!first.done) {
+      res.write(first.value);
+    }
+    
+    for await (const chunk of chunks) {
+      if (res.destroyed) break;
+      
+      // Respect backpressure so slow clients don't buffer the whole file in memory
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+    }
+    
+    res.end();
+  } catch (error) {
+    // Headers are gone already; all we can do is cut the connection
+    logger.error('❌ File stream interrupted:', error.error_message || error.message);
+    res.destroy(error);
+  }
+}
+
+// Media download endpoints
+app.get('/api/chats/:peer/messages/:id/media', requireScope('read'), async (req, res) => {
+  try {
+    if (!parseTarget(req.params.peer)) {
+      return res.status(400).json({
+        error: 'Invalid target format'
+      });
+    }
+    
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        error: 'Message id must be a positive integer'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const file = await service.getMessageFile(req.params.peer, req.params.id);
+    
+    await sendTelegramFile(req, res, service, file);
+    
+  } catch (error) {
+    logger.error('❌ Media download error:', error);
+    
+    sendTelegramError(res, error, 'Failed to download media');
+  }
+});
+
+app.get('/api/files/:token', requireScope('read'), async (req, res) => {
+  try {
+    const account = accountOf(req);
+    const file = decodeFileToken(req.params.token, account);
+    const service = await initializeMTProto(account);
+    
+    await sendTelegramFile(req, res, service, file);
+    
+  } catch (error) {
+    logger.error('❌ File download error:', error);
+    
+    sendTelegramError(res, error, 'Failed to download file');
+  }
+});
+
+// Current token-bucket levels, limited to the accounts the API key may use
+app.get('/api/rate-limits', requireScope('read'), (req, res) => {
+  const status = rateLimiter.getStatus((level, key) =>
+    level === 'global' || canUseAccount(req.apiKey, level === 'account' ? key : key.split(':')[0]));
+  
+  res.json({
+    success: true,
+    limits: status.limits,
+    count: status.buckets.length,
+    buckets: status.buckets
+  });
+});
+
+// Job status endpoints
+// Jobs queued before accounts existed belong to the default account
+function canSeeJob(apiKey, job) {
+  return canUseAccount(apiKey, (job.payload && job.payload.account) || DEFAULT_ACCOUNT_ID);
+}
+
+app.get('/api/jobs/:id', requireScope('read'), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  
+  // Jobs of accounts the key may not use are reported as missing
+  if (!job || !canSeeJob(req.apiKey, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+app.get('/api/jobs', requireScope('read'), (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  
+  const visible = job => canSeeJob(req.apiKey, job);
+  const jobs = jobQueue.list({ status, limit, filter: visible });
+  
+  res.json({
+    success: true,
+    depth: jobQueue.getDepth(visible),
+    count: jobs.length,
+    jobs: jobs.map(serializeJob)
+  });
+});
+
+// Account registry endpoints. Every other route takes `account` (query or body) to pick one.
+function findAccountStatus(id) {
+  return accountRegistry.getStatus().find(account => account.id === id) || null;
+}
+
+app.get('/api/accounts', requireScope('admin'), (req, res) => {
+  const accounts = accountRegistry.getStatus();
+  
+  res.json({
+    success: true,
+    count: accounts.length,
+    default_account: accountRegistry.get(DEFAULT_ACCOUNT_ID) ? DEFAULT_ACCOUNT_ID : null,
+    accounts: accounts
+  });
+});
+
+app.get('/api/accounts/:id', requireScope('admin'), (req, res) => {
+  const account = findAccountStatus(req.params.id);
+  
+  if (!account) {
+    return res.status(404).json({ error: `Unknown account "${req.params.id}"` });
+  }
+  
+  res.json({
+    success: true,
+    account: account
+  });
+});
+
+// Body: { id, phone, label? }. The new account still has to sign in through POST /api/auth.
+app.post('/api/accounts', requireScope('admin'), idempotent, (req, res) => {
+  try {
+    const account = accountRegistry.add(req.body);
+    
+    // Connect right away, like the accounts initialized on startup
+    initializeMTProto(account.id).catch(error => {
+      logger.info(`🔐 Account ${account.id} is not signed in yet:`, error.message);
+    });
+    
+    res.status(201).json({
+      success: true,
+      account: findAccountStatus(account.id),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Add account error:', error);
+    
+    sendTelegramError(res, error, 'Failed to add account');
+  }
+});
+
+app.post('/api/accounts/:id', requireScope('admin'), idempotent, (req, res) => {
+  try {
+    accountRegistry.update(req.params.id, req.body);
+    
+    res.json({
+      success: true,
+      account: findAccountStatus(req.params.id),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Update account error:', error);
+    
+    sendTelegramError(res, error, 'Failed to update account');
+  }
+});
+
+// ?logout=true also terminates the Telegram session instead of only forgetting it locally
+app.delete('/api/accounts/:id', requireScope('admin'), idempotent, async (req, res) => {
+  try {
+    const account = await accountRegistry.remove(req.params.id, { logOut: req.query.logout === 'true' });
+    
+    res.json({
+      success: true,
+      removed: account.id,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Remove account error:', error);
+    
+    sendTelegramError(res, error, 'Failed to remove account');
+  }
+});
+
+// API key management endpoints. The plaintext key is only returned by create and rotate.
+app.get('/api/keys', requireScope('admin'), (req, res) => {
+  const keys = apiKeys.list();
+  
+  res.json({
+    success: true,
+    count: keys.length,
+    scopes: SCOPES,
+    keys: keys
+  });
+});
+
+app.get('/api/keys/:id', requireScope('admin'), (req, res) => {
+  const key = apiKeys.get(req.params.id);
+  
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  
+  res.json({
+    success: true,
+    key: key
+  });
+});
+
+// Body: { name, scopes, accounts?, quota?: { limit, window_seconds? }, expires_at? }
+app.post('/api/keys', requireScope('admin'), idempotent, (req, res) => {
+  try {
+    const { key, record } = apiKeys.create(req.body);
+    
+    res.status(201).json({
+      success: true,
+      api_key: key,
+      key: record,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Create API key error:', error);
+    
+    sendTelegramError(res, error, 'Failed to create API key');
+  }
+});
+
+// Change name, scopes, accounts, quota or expiry without issuing a new secret
+app.post('/api/keys/:id', requireScope('admin'), idempotent, (req, res) => {
+  try {
+    const record = apiKeys.update(req.params.id, req.body);
+    
+    res.json({
+      success: true,
+      key: record,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Update API key error:', error);
+    
+    sendTelegramError(res, error, 'Failed to update API key');
+  }
+});
+
+app.post('/api/keys/:id/rotate', requireScope('admin'), idempotent, (req, res) => {
+  try {
+    const { key, record } = apiKeys.rotate(req.params.id);
+    
+    res.json({
+      success: true,
+      api_key: key,
+      key: record,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Rotate API key error:', error);
+    
+    sendTelegramError(res, error, 'Failed to rotate API key');
+  }
+});
+
+app.delete('/api/keys/:id', requireScope('admin'), idempotent, (req, res) => {
+  try {
+    const record = apiKeys.revoke(req.params.id);
+    
+    res.json({
+      success: true,
+      key: record,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Revoke API key error:', error);
+    
+    sendTelegramError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// Session management endpoints
+app.get('/api/sessions', requireScope('auth'), async (req, res) => {
+  try {
+    const service = await initializeMTProto(accountOf(req));
+    const authorizations = await service.getAuthorizations();
+    
+    res.json({
+      success: true,
+      count: authorizations.length,
+      sessions: authorizations
+    });
+    
+  } catch (error) {
+    logger.error('❌ List sessions error:', error);
+    sendTelegramError(res, error, 'Failed to list sessions');
+  }
+});
+
+app.delete('/api/sessions/:hash', requireScope('auth'), idempotent, async (req, res) => {
+  try {
+    const { hash } = req.params;
+    
+    if (!/^-?\d+$/.test(hash)) {
+      return res.status(400).json({
+        error: 'Invalid session hash. Use the hash returned by GET /api/sessions'
+      });
+    }
+    
+    const service = await initializeMTProto(accountOf(req));
+    const authorizations = await service.getAuthorizations();
+    const authorization = authorizations.find(item => item.hash === hash);
+    
+    if (!authorization) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (authorization.current) {
+      return res.status(400).json({
+        error: 'Cannot terminate the current session',
+        message: 'Use POST /api/auth with action "log_out" to end the service session'
+      });
+    }
+    
+    await service.resetAuthorization(hash);
+    
+    res.json({
+      success: true,
+      terminated: authorization,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Terminate session error:', error);
+    
+    if (error.error_message?.includes('FRESH_RESET_AUTHORISATION_FORBIDDEN')) {
+      return res.status(403).json({
+        error: 'Session too new',
+        message: 'Telegram only allows terminating other sessions 24 hours after signing in',
+        telegram_error: error.error_message
+      });
+    }
+    
+    sendTelegramError(res, error, 'Failed to terminate session');
+  }
+});
+
+// Terminate every session except the service's own
+app.delete('/api/sessions', requireScope('auth'), idempotent, async (req, res) => {
+  try {
+    const service = await initializeMTProto(accountOf(req));
+    await service.resetOtherAuthorizations();
+    
+    res.json({
+      success: true,
+      message: 'All other sessions terminated',
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Terminate sessions error:', error);
+    
+    if (error.error_message?.includes('FRESH_RESET_AUTHORISATION_FORBIDDEN')) {
+      return res.status(403).json({
+        error: 'Session too new',
+        message: 'Telegram only allows terminating other sessions 24 hours after signing in',
+        telegram_error: error.error_message
+      });
+    }
+    
+    sendTelegramError(res, error, 'Failed to terminate sessions');
+  }
+});
+
+// Webhook dead-letter endpoints
+app.get('/api/webhooks/dead-letters', requireScope('admin'), (req, res) => {
+  const deadLetters = webhookDispatcher.listDeadLetters();
+  
+  res.json({
+    success: true,
+    count: deadLetters.length,
+    dead_letters: deadLetters
+  });
+});
+
+app.post('/api/webhooks/dead-letters/replay', requireScope('admin'), idempotent, async (req, res) => {
+  try {
+    const results = [];
+    for (const entry of webhookDispatcher.listDeadLetters()) {
+      results.push(await webhookDispatcher.replay(entry.id));
+    }
+    
+    res.json({
+      success: true,
+      replayed: results.length,
+      delivered: results.filter(result => result.delivered).length,
+      results: results
+    });
+    
+  } catch (error) {
+    logger.error('❌ Dead-letter replay error:', error);
+    res.status(500).json({
+      error: 'Failed to replay dead letters',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/api/webhooks/dead-letters/:id/replay', requireScope('admin'), idempotent, async (req, res) => {
+  try {
+    const result = await webhookDispatcher.replay(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    
+    res.status(result.delivered ? 200 : 502).json({
+      success: result.delivered,
+      ...result
+    });
+    
+  } catch (error) {
+    logger.error('❌ Dead-letter replay error:', error);
+    res.status(500).json({
+      error: 'Failed to replay dead letter',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.delete('/api/webhooks/dead-letters/:id', requireScope('admin'), idempotent, (req, res) => {
+  if (!webhookDispatcher.removeDeadLetter(req.params.id)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  
+  res.json({ success: true, deleted: req.params.id });
+});
+
+// Replace just the /api/auth endpoint in your server.js with this version for debugging
+
+const AUTH_ACTIONS = [
+  'send_code',
+  'sign_in',
+  'check_password',
+  'export_login_token',
+  'import_login_token',
+  'check_auth',
+  'log_out'
+];
+
+// Build the JSON response for a QR login step, rendering the QR code while still pending
+async function buildLoginTokenResponse(loginToken, qrFormat = 'both') {
+  if (loginToken.status === 'success') {
+    return {
+      success: true,
+      status: 'success',
+      message: 'Authentication successful',
+      user: {
+        id: loginToken.user.id,
+        first_name: loginToken.user.first_name,
+        username: loginToken.user.username
+      }
+    };
+  }
+  
+  const qr = {};
+  if (qrFormat === 'png' || qrFormat === 'both') {
+    qr.png = await QRCode.toDataURL(loginToken.url);
+  }
+  if (qrFormat === 'svg' || qrFormat === 'both') {
+    qr.svg = await QRCode.toString(loginToken.url, { type: 'svg' });
+  }
+  
+  return {
+    success: true,
+    status: 'pending',
+    message: 'Scan the QR code from Telegram > Settings > Devices > Link Desktop Device',
+    next_action: 'import_login_token',
+    token: loginToken.token,
+    url: loginToken.url,
+    expires_at: new Date(loginToken.expires * 1000).toISOString(),
+    qr: qr
+  };
+}
+
+// Authentication endpoints with FULL error debugging
+app.post('/api/auth', requireScope('auth'), idempotent, async (req, res) => {
+  try {
+    const { action, code, phone_code_hash, password, token, qr_format } = req.body;
+    
+    logger.info('🔐 === AUTH REQUEST START ===');
+    logger.info('🔐 Action:', action);
+    logger.info('🔐 Account:', accountOf(req));
+    logger.info('🔐 Auth request', { phone: req.body.phone });
+    logger.debug('🔐 Request body keys:', Object.keys(req.body));
+    
+    if (!action) {
+      return res.status(400).json({
+        error: 'Missing action parameter',
+        valid_actions: AUTH_ACTIONS
+      });
+    }
+    
+    logger.debug('🔍 Pre-init checks:');
+    logger.debug('  - localStorage available:', typeof global.localStorage);
+    logger.debug('  - localStorage.get available:', typeof global.localStorage?.get);
+    logger.info('  - Environment vars set:', {
+      api_id: !!process.env.TELEGRAM_API_ID,
+      api_hash: !!process.env.TELEGRAM_API_HASH,
+      phone: !!process.env.TELEGRAM_PHONE,
+      secret_key: !!process.env.API_SECRET_KEY
+    });
+    
+    let service;
+    try {
+      logger.info('🚀 Attempting to initialize MTProto service...');
+      service = await initializeMTProto(accountOf(req));
+      logger.info('✅ MTProto service initialized successfully');
+    } catch (initError) {
+      logger.error('❌ MTProto initialization failed:', initError);
+      
+      // Unknown account
+      if (initError.status) {
+        return sendTelegramError(res, initError, 'MTProto initialization failed');
+      }
+      
+      return res.status(500).json({
+        error: 'MTProto initialization failed',
+        details: initError.message,
+        stack: initError.stack,
+        stage: 'initialization'
+      });
+    }
+    
+    // Each account signs in with its own number unless the request names one
+    const phone = req.body.phone || service.phone;
+    
+    switch (action) {
+      case 'send_code':
+        if (!phone) {
           return res.status(400).json({ error: 'Phone number required' });
         }
         
-        console.log('📱 === SEND CODE ATTEMPT ===');
-        console.log('📱 Phone number:', phone);
-        console.log('📱 Phone format valid:', /^\+\d{10,15}$/.test(phone));
+        logger.info('📱 === SEND CODE ATTEMPT ===');
+        logger.info('📱 Phone number', { phone: phone });
+        logger.debug('📱 Phone format valid:', /^\+\d{10,15}$/.test(phone));
         
         try {
-          console.log('📱 Calling service.sendCode...');
+          logger.debug('📱 Calling service.sendCode...');
           const codeResult = await service.sendCode(phone);
-          console.log('✅ Code sent successfully');
-          console.log('📱 Result keys:', Object.keys(codeResult));
-          console.log('📱 Phone code hash present:', !!codeResult.phone_code_hash);
+          logger.info('✅ Code sent successfully');
+          logger.debug('📱 Result keys:', Object.keys(codeResult));
+          logger.debug('📱 Phone code hash present:', !!codeResult.phone_code_hash);
           
           res.json({
             success: true,
@@ -453,8 +2621,8 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
             }
           });
         } catch (sendCodeError) {
-          console.error('❌ Send code failed:', sendCodeError);
-          console.error('❌ Send code error details:', {
+          logger.error('❌ Send code failed:', sendCodeError);
+          logger.error('❌ Send code error details:', {
             message: sendCodeError.message,
             error_message: sendCodeError.error_message,
             error_code: sendCodeError.error_code,
@@ -491,14 +2659,13 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
           });
         }
         
-        console.log('🔐 === SIGN IN ATTEMPT ===');
-        console.log('🔐 Phone:', phone);
-        console.log('🔐 Code:', code);
-        console.log('🔐 Hash present:', !!phone_code_hash);
+        logger.info('🔐 === SIGN IN ATTEMPT ===');
+        logger.info('🔐 Phone', { phone: phone });
+        logger.debug('🔐 Hash present:', !!phone_code_hash);
         
         try {
           const signInResult = await service.signIn(phone, phone_code_hash, code);
-          console.log('✅ Sign in successful');
+          logger.info('✅ Sign in successful');
           
           res.json({
             success: true,
@@ -510,7 +2677,20 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
             }
           });
         } catch (signInError) {
-          console.error('❌ Sign in failed:', signInError);
+          logger.error('❌ Sign in failed:', signInError);
+          
+          if (signInError.error_message?.includes('SESSION_PASSWORD_NEEDED')) {
+            const passwordInfo = await service.getPasswordInfo().catch(() => null);
+            
+            return res.status(200).json({
+              success: false,
+              action: 'password_required',
+              next_action: 'check_password',
+              message: 'Two-factor authentication required',
+              password: passwordInfo,
+              telegram_error: signInError.error_message
+            });
+          }
           
           return res.status(500).json({
             error: 'Sign in failed',
@@ -521,11 +2701,122 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
         }
         break;
         
+      case 'check_password':
+        if (!password) {
+          return res.status(400).json({
+            error: 'Missing required fields',
+            required: ['password']
+          });
+        }
+        
+        logger.info('🔐 === CHECK PASSWORD ATTEMPT ===');
+        
+        try {
+          const passwordResult = await service.checkPassword(password);
+          logger.info('✅ Password check successful');
+          
+          res.json({
+            success: true,
+            message: 'Authentication successful',
+            user: {
+              id: passwordResult.user.id,
+              first_name: passwordResult.user.first_name,
+              username: passwordResult.user.username
+            }
+          });
+        } catch (passwordError) {
+          logger.error('❌ Password check failed:', passwordError);
+          
+          const passwordInfo = await service.getPasswordInfo().catch(() => null);
+          
+          if (passwordError.error_message?.includes('PASSWORD_HASH_INVALID')) {
+            return res.status(400).json({
+              error: 'Invalid password',
+              password: passwordInfo,
+              telegram_error: passwordError.error_message,
+              stage: 'check_password'
+            });
+          }
+          
+          if (passwordError.error_message?.includes('FLOOD_WAIT')) {
+            const waitTime = parseInt(passwordError.error_message.split('_')[2]) || 60;
+            return res.status(429).json({
+              error: 'Rate limit exceeded',
+              retry_after: waitTime,
+              telegram_error: passwordError.error_message,
+              stage: 'check_password'
+            });
+          }
+          
+          return res.status(500).json({
+            error: 'Password check failed',
+            details: passwordError.message,
+            password: passwordInfo,
+            telegram_error: passwordError.error_message || null,
+            stage: 'check_password'
+          });
+        }
+        break;
+        
+      case 'export_login_token':
+      case 'import_login_token':
+        if (qr_format && !['png', 'svg', 'both'].includes(qr_format)) {
+          return res.status(400).json({
+            error: 'Invalid qr_format',
+            valid_formats: ['png', 'svg', 'both']
+          });
+        }
+        
+        logger.info(`📷 === ${action.toUpperCase()} ATTEMPT ===`);
+        
+        try {
+          // Polling is done by exporting again: once the QR has been scanned Telegram
+          // answers with loginTokenSuccess (or loginTokenMigrateTo) instead of a new token
+          const loginToken = action === 'import_login_token' && token
+            ? await service.importLoginToken(token)
+            : await service.exportLoginToken();
+          logger.info('✅ Login token status:', loginToken.status);
+          
+          res.json(await buildLoginTokenResponse(loginToken, qr_format));
+        } catch (loginTokenError) {
+          logger.error('❌ Login token step failed:', loginTokenError);
+          
+          if (loginTokenError.error_message?.includes('SESSION_PASSWORD_NEEDED')) {
+            const passwordInfo = await service.getPasswordInfo().catch(() => null);
+            
+            return res.status(200).json({
+              success: false,
+              action: 'password_required',
+              next_action: 'check_password',
+              message: 'Two-factor authentication required',
+              password: passwordInfo,
+              telegram_error: loginTokenError.error_message
+            });
+          }
+          
+          if (loginTokenError.error_message?.includes('AUTH_TOKEN_EXPIRED')) {
+            return res.status(400).json({
+              error: 'Login token expired',
+              message: 'Export a new login token',
+              telegram_error: loginTokenError.error_message,
+              stage: action
+            });
+          }
+          
+          return res.status(500).json({
+            error: 'Login token step failed',
+            details: loginTokenError.message,
+            telegram_error: loginTokenError.error_message || null,
+            stage: action
+          });
+        }
+        break;
+        
       case 'check_auth':
-        console.log('🔍 === CHECK AUTH STATUS ===');
+        logger.info('🔍 === CHECK AUTH STATUS ===');
         try {
           const status = service.getStatus();
-          console.log('✅ Status retrieved:', status);
+          logger.info('✅ Status retrieved:', status);
           
           res.json({
             success: true,
@@ -533,7 +2824,7 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
             status: status
           });
         } catch (statusError) {
-          console.error('❌ Status check failed:', statusError);
+          logger.error('❌ Status check failed:', statusError);
           
           return res.status(500).json({
             error: 'Status check failed',
@@ -543,25 +2834,48 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
         }
         break;
         
+      case 'log_out':
+        logger.info('🚪 === LOG OUT ===');
+        try {
+          await service.logOut();
+          logger.info('✅ Logged out and session wiped');
+          
+          res.json({
+            success: true,
+            authenticated: false,
+            message: 'Logged out. Persisted session has been wiped'
+          });
+        } catch (logOutError) {
+          logger.error('❌ Log out failed:', logOutError);
+          
+          return res.status(500).json({
+            error: 'Log out failed',
+            details: logOutError.message,
+            telegram_error: logOutError.error_message || null,
+            stage: 'log_out'
+          });
+        }
+        break;
+        
       default:
         return res.status(400).json({ 
           error: 'Invalid action',
           received: action,
-          valid_actions: ['send_code', 'sign_in', 'check_auth']
+          valid_actions: AUTH_ACTIONS
         });
     }
     
-    console.log('🔐 === AUTH REQUEST END ===');
+    logger.info('🔐 === AUTH REQUEST END ===');
     
   } catch (error) {
-    console.error('❌ === OUTER AUTH ERROR ===');
-    console.error('❌ Error name:', error.name);
-    console.error('❌ Error message:', error.message);
-    console.error('❌ Error stack:', error.stack);
-    console.error('❌ Error props:', Object.keys(error));
+    logger.error('❌ === OUTER AUTH ERROR ===');
+    logger.error('❌ Error name:', error.name);
+    logger.error('❌ Error message:', error.message);
+    logger.error('❌ Error stack:', error.stack);
+    logger.error('❌ Error props:', Object.keys(error));
     
     if (error.error_message) {
-      console.error('❌ Telegram error_message:', error.error_message);
+      logger.error('❌ Telegram error_message:', error.error_message);
     }
     
     // Handle specific MTProto errors with full details
@@ -586,6 +2900,7 @@ app.post('/api/auth', validateApiKey, async (req, res) => {
       return res.status(200).json({
         success: false,
         action: 'password_required',
+        next_action: 'check_password',
         message: 'Two-factor authentication required',
         telegram_error: error.error_message
       });
@@ -626,22 +2941,22 @@ if (process.env.NODE_ENV === 'production') {
     fetch(keepAliveUrl)
       .then(response => {
         if (response.ok) {
-          console.log('✅ Keep-alive ping successful');
+          logger.info('✅ Keep-alive ping successful');
         } else {
-          console.warn('⚠️ Keep-alive ping failed:', response.status);
+          logger.warn('⚠️ Keep-alive ping failed:', response.status);
         }
       })
       .catch(err => {
-        console.warn('⚠️ Keep-alive ping error:', err.message);
+        logger.warn('⚠️ Keep-alive ping error:', err.message);
       });
   }, 14 * 60 * 1000); // Every 14 minutes
   
-  console.log('🔄 Keep-alive scheduler started');
+  logger.info('🔄 Keep-alive scheduler started');
 }
 
 // Error handling
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  logger.error('Unhandled error:', error);
   res.status(500).json({
     error: 'Internal server error',
     timestamp: new Date().toISOString()
@@ -654,51 +2969,117 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     available_endpoints: [
       'GET /ping',
+      'GET /metrics',
       'GET /api/health', 
       'POST /api/send-message',
-      'POST /api/auth'
+      'POST /api/send-media',
+      'GET /api/dialogs',
+      'GET /api/chats/:peer/messages',
+      'GET /api/chats/:peer/search',
+      'GET /api/search',
+      'GET /api/chats/:peer/messages/:id/media',
+      'POST /api/chats/:peer/messages/:id/edit',
+      'DELETE /api/chats/:peer/messages/:id',
+      'POST /api/chats/:peer/messages/delete',
+      'POST /api/chats/:peer/messages/forward',
+      'POST /api/chats/:peer/messages/:id/pin',
+      'DELETE /api/chats/:peer/messages/:id/pin',
+      'POST /api/chats/:peer/read',
+      'GET /api/chats/:peer/read-state',
+      'POST /api/chats/:peer/messages/:id/reactions',
+      'DELETE /api/chats/:peer/messages/:id/reactions',
+      'GET /api/chats/:peer/scheduled',
+      'POST /api/chats/:peer/scheduled/send',
+      'DELETE /api/chats/:peer/scheduled/:id',
+      'POST /api/chats/:peer/scheduled/delete',
+      'POST /api/chats',
+      'POST /api/chats/:peer/info',
+      'GET /api/chats/:peer/members',
+      'POST /api/chats/:peer/members',
+      'DELETE /api/chats/:peer/members/:user',
+      'POST /api/chats/:peer/admins/:user',
+      'DELETE /api/chats/:peer/admins/:user',
+      'GET /api/chats/:peer/invite-links',
+      'POST /api/chats/:peer/invite-links',
+      'POST /api/chats/:peer/invite-links/revoke',
+      'GET /api/contacts',
+      'POST /api/contacts/import',
+      'POST /api/contacts/delete',
+      'GET /api/contacts/blocked',
+      'POST /api/contacts/:user/block',
+      'DELETE /api/contacts/:user/block',
+      'GET /api/files/:token',
+      'GET /api/rate-limits',
+      'GET /api/jobs',
+      'GET /api/jobs/:id',
+      'GET /api/accounts',
+      'GET /api/accounts/:id',
+      'POST /api/accounts',
+      'POST /api/accounts/:id',
+      'DELETE /api/accounts/:id',
+      'GET /api/keys',
+      'GET /api/keys/:id',
+      'POST /api/keys',
+      'POST /api/keys/:id',
+      'POST /api/keys/:id/rotate',
+      'DELETE /api/keys/:id',
+      'POST /api/auth',
+      'GET /api/sessions',
+      'DELETE /api/sessions',
+      'DELETE /api/sessions/:hash',
+      'GET /api/webhooks/dead-letters',
+      'POST /api/webhooks/dead-letters/replay',
+      'POST /api/webhooks/dead-letters/:id/replay',
+      'DELETE /api/webhooks/dead-letters/:id'
     ]
   });
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 MTProto service running on port ${PORT}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 External hostname: ${process.env.RENDER_EXTERNAL_HOSTNAME || 'localhost'}`);
-  console.log(`🔧 Polyfills loaded: localStorage=${typeof global.localStorage !== 'undefined'}`);
-  console.log(`🔧 Polyfills loaded: localStorage.get=${typeof global.localStorage?.get !== 'undefined'}`);
-  
-  // Initialize MTProto on startup
-  initializeMTProto().catch(error => {
-    console.error('❌ Failed to initialize MTProto on startup:', error);
-  });
+  logger.info(`🚀 MTProto service running on port ${PORT}`);
+  logger.info(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`🌐 External hostname: ${process.env.RENDER_EXTERNAL_HOSTNAME || 'localhost'}`);
+  logger.debug(`🔧 Polyfills loaded: localStorage=${typeof global.localStorage !== 'undefined'}`);
+  logger.debug(`🔧 Polyfills loaded: localStorage.get=${typeof global.localStorage?.get !== 'undefined'}`);
+  
+  // Initialize every account on startup so their update streams run
+  for (const account of accountRegistry.list()) {
+    initializeMTProto(account.id).catch(error => {
+      logger.error(`❌ Failed to initialize account ${account.id} on startup:`, error);
+    });
+  }
+  
+  // Start executing queued sends (including ones persisted before a restart)
+  jobQueue.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('📴 Received SIGTERM, shutting down gracefully');
-  if (mtprotoService) {
-    mtprotoService.cleanup();
-  }
+  logger.info('📴 Received SIGTERM, shutting down gracefully');
+  accountRegistry.cleanup();
+  webhookDispatcher.shutdown();
+  jobQueue.stop();
+  flushAllStores();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('📴 Received SIGINT, shutting down gracefully');
-  if (mtprotoService) {
-    mtprotoService.cleanup();
-  }
+  logger.info('📴 Received SIGINT, shutting down gracefully');
+  accountRegistry.cleanup();
+  webhookDispatcher.shutdown();
+  jobQueue.stop();
+  flushAllStores();
   process.exit(0);
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
+  logger.error('💥 Uncaught Exception:', error);
   process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-console.log('🎯 Server setup complete with enhanced polyfills, waiting for connections...');
+logger.info('🎯 Server setup complete with enhanced polyfills, waiting for connections...');
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMessage } = require('../lib/message-formatter');
+
+function entity(type, offset, length) {
+  return { _: `messageEntity${type}`, offset, length };
+}
+
+function markdown(text) {
+  return parseMessage(text, 'markdown');
+}
+
+test('markdown: basic styles', () => {
+  const result = markdown('**b** *i* _i_ ~~s~~ ||sp||');
+
+  assert.equal(result.text, 'b i i s sp');
+  assert.deepEqual(result.entities, [
+    entity('Bold', 0, 1),
+    entity('Italic', 2, 1),
+    entity('Italic', 4, 1),
+    entity('Strike', 6, 1),
+    entity('Spoiler', 8, 2)
+  ]);
+});
+
+test('markdown: nested styles keep offsets of the stripped text', () => {
+  const result = markdown('x **a *b* c** y');
+
+  assert.equal(result.text, 'x a b c y');
+  assert.deepEqual(sortByOffset(result.entities), [
+    entity('Bold', 2, 5),
+    entity('Italic', 4, 1)
+  ]);
+});
+
+test('markdown: a stray marker does not shift later entities', () => {
+  const result = markdown('price *5 and **bold**');
+
+  assert.equal(result.text, 'price *5 and bold');
+  assert.deepEqual(result.entities, [entity('Bold', 13, 4)]);
+});
+
+test('markdown: unmatched underscore before underline', () => {
+  const result = markdown('_a __b__');
+
+  assert.equal(result.text, '_a b');
+  assert.deepEqual(result.entities, [entity('Underline', 3, 1)]);
+});
+
+test('markdown: identifiers with underscores and arithmetic stay literal', () => {
+  for (const text of ['__init__ file', '__main__.py', 'snake_case_var and 2*3*4', '*unclosed']) {
+    const result = markdown(text);
+    assert.equal(result.text, text);
+    assert.deepEqual(result.entities, []);
+  }
+});
+
+test('markdown: underline around a word', () => {
+  const result = markdown('use __Important__');
+
+  assert.equal(result.text, 'use Important');
+  assert.deepEqual(result.entities, [entity('Underline', 4, 9)]);
+});
+
+test('markdown: escaped markers are kept as text', () => {
+  const result = markdown('\\*lit*');
+
+  assert.equal(result.text, '*lit*');
+  assert.deepEqual(result.entities, []);
+});
+
+test('markdown: links and inline code', () => {
+  const result = markdown('[l](https://x.y) `c*`');
+
+  assert.equal(result.text, 'l c*');
+  assert.deepEqual(result.entities, [
+    { _: 'messageEntityTextUrl', offset: 0, length: 1, url: 'https://x.y' },
+    entity('Code', 2, 2)
+  ]);
+});
+
+test('markdown: blockquote only at the start of a line', () => {
+  const result = markdown('>5 items\n> quote\n> more\nafter');
+
+  assert.equal(result.text, '>5 items\nquote\nmore\nafter');
+  assert.deepEqual(result.entities, [entity('Blockquote', 9, 10)]);
+});
+
+test('html: invalid character references stay literal', () => {
+  const result = parseMessage('a &#99999999; &#xD800; &#65; &amp;', 'html');
+
+  assert.equal(result.text, 'a &#99999999; &#xD800; A &');
+  assert.deepEqual(result.entities, []);
+});
+
+function sortByOffset(entities) {
+  return [...entities].sort((a, b) => a.offset - b.offset || b.length - a.length);
+}